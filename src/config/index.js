@@ -1,5 +1,22 @@
 // config/index.js
 require('dotenv').config();
+const os = require('os');
+const path = require('path');
+
+const uploadTempDir = process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'photovault-uploads');
+
+// "name:width:quality,..." e.g. "thumb:300:65,medium:800:70,large:1200:75"
+const parseVariantProfiles = (value) =>
+  value.split(',').filter(Boolean).map((profile) => {
+    const [name, width, quality] = profile.trim().split(':');
+    return { name, width: parseInt(width, 10), quality: parseInt(quality, 10) };
+  });
+
+// Integer from the environment where 0 is a valid setting (parseInt(...) || default would drop it)
+const parseIntEnv = (value, defaultValue) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+};
 
 const config = {
   // Server Configuration
@@ -16,8 +33,9 @@ const config = {
       "http://localhost:3000", // Alternative dev port
     ],
     credentials: true,
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "x-auth-token"],
+    methods: ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "x-auth-token", "Upload-Offset", "Upload-Length"],
+    exposedHeaders: ["Upload-Offset", "Upload-Length", "Location", "X-Variant"],
   },
 
   // MinIO Configuration
@@ -33,23 +51,57 @@ const config = {
   // Upload Configuration
   upload: {
     maxFileSize: 2 * 1024 * 1024 * 1024, // 2GB
+    // Checked against the sniffed file content, see utils/file-type.js
     allowedMimeTypes: [
+      'image/heic',
+      'image/heif',
       'image/jpeg',
       'image/jpg',
       'image/png',
       'image/webp',
       'image/avif',
       'video/mp4',
+      'video/x-m4v',
       'video/mov',
       'video/avi',
       'video/quicktime'
     ],
+    // Local directory for partial chunked uploads
+    tempDir: uploadTempDir,
+    // Uploaded files waiting for background processing (streamed to disk, not held in memory)
+    incomingDir: path.join(uploadTempDir, 'incoming'),
+    chunkedUploadExpiry: 24 * 60 * 60 * 1000, // Drop unfinished chunked uploads after 24 hours
+    concurrency: parseInt(process.env.UPLOAD_CONCURRENCY, 10) || 3, // Files of a batch processed in parallel
+    // Untouched HEIC/JPEG files are kept next to the AVIF (can be turned off per album)
+    originals: {
+      bucket: process.env.ORIGINALS_BUCKET_NAME || process.env.MINIO_BUCKET_NAME,
+      prefix: process.env.ORIGINALS_PREFIX || 'originals/',
+    },
   },
 
-  // AVIF Converter Configuration
+  // Image Converter Configuration
   converter: {
+    // "http" = AVIF converter microservice, "sharp" = in-process encoder (no HEIC input)
+    backend: process.env.CONVERTER_BACKEND || 'http',
+    // Output of the sharp backend: avif or webp (the microservice always produces AVIF)
+    format: process.env.CONVERTER_OUTPUT_FORMAT || 'avif',
+    quality: parseInt(process.env.CONVERTER_QUALITY, 10) || 70,
     url: process.env.AVIF_CONVERTER_URL,
     timeout: parseInt(process.env.AVIF_CONVERTER_TIMEOUT, 10) || 30000,
+    concurrency: parseInt(process.env.AVIF_CONVERTER_CONCURRENCY, 10) || 2, // Parallel requests to the converter
+    // Retries for connection errors, timeouts and 5xx answers (exponential backoff with jitter)
+    retries: parseIntEnv(process.env.AVIF_CONVERTER_RETRIES, 3), // 0 disables retries
+    retryBaseDelay: parseIntEnv(process.env.AVIF_CONVERTER_RETRY_DELAY, 1000),
+    retryMaxDelay: 30000,
+    // Stop calling the converter after this many consecutive failures, try again after resetTimeout
+    circuitBreaker: {
+      failureThreshold: parseIntEnv(process.env.AVIF_CONVERTER_FAILURE_THRESHOLD, 5),
+      resetTimeout: parseIntEnv(process.env.AVIF_CONVERTER_RESET_TIMEOUT, 30000),
+    },
+    // Resized variants requested next to the full-size AVIF (names must be thumb, medium or large)
+    variants: parseVariantProfiles(
+      process.env.AVIF_VARIANTS ?? 'thumb:300:65,medium:800:70,large:1200:75'
+    ),
   },
 
   // Authentication Configuration
@@ -73,8 +125,44 @@ const config = {
 
   // SSE Configuration
   sse: {
-    connectionTimeout: 300000, // 5 minutes
+    connectionTimeout: 300000, // 5 minutes (how long a finished job's events stay replayable)
     cleanupInterval: 60000,    // 1 minute
+    heartbeatInterval: 15000,  // 15 seconds between keep-alive comments
+    maxEventsPerJob: 2000,     // Oldest events are dropped beyond this
+  },
+
+  // Upload Job Configuration
+  jobs: {
+    heartbeatInterval: 30000, // 30 seconds
+    staleAfter: parseInt(process.env.JOB_STALE_AFTER, 10) || 120000, // 2 minutes without heartbeat
+  },
+
+  // Deferred Conversion Configuration (photos uploaded while the converter was down)
+  conversionQueue: {
+    prefix: process.env.PENDING_PREFIX || 'pending/', // Where the unconverted files wait in the bucket
+    interval: parseInt(process.env.CONVERSION_QUEUE_INTERVAL, 10) || 60000, // How often the worker checks the converter
+    batchSize: 10,
+    maxAttempts: 5, // Conversions failing this often wait for an admin retry
+    staleAfter: 30 * 60 * 1000, // 'converting' for 30 minutes means the worker died
+  },
+  media: {
+    // Keep writing <album>/<album>.json next to the media table, for clients that still read it
+    albumJsonExport: process.env.ALBUM_JSON_EXPORT !== 'false',
+    // Writes to an album JSON are conditional (If-Match); a write that lost to another replica is retried
+    albumJson: {
+      maxRetries: 5,
+      retryBaseDelay: 100,
+    },
+  },
+  webhooks: {
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 10000, // Per delivery attempt
+    interval: parseInt(process.env.WEBHOOK_INTERVAL, 10) || 15000, // How often due retries are sent
+    batchSize: 20,
+    // Failed deliveries are retried with exponential backoff and jitter, then marked failed
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    retryBaseDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || 30000,
+    retryMaxDelay: 60 * 60 * 1000,
+    staleAfter: 10 * 60 * 1000, // 'delivering' for 10 minutes means the process died
   },
 
   // Logging Configuration
@@ -83,7 +171,34 @@ const config = {
     enableDebug: process.env.NODE_ENV === 'development',
   },
 
-  mapbox_token: process.env.MAPBOX_TOKEN,   // Kubernetes Configuration (if applicable)
+  // Reverse geocoding of photo coordinates into an address
+  geocoder: {
+    // "mapbox", "nominatim" (any Nominatim-compatible server), "geonames" (offline) or "none";
+    // Mapbox when a token is set
+    provider: process.env.GEOCODER_PROVIDER || (process.env.MAPBOX_TOKEN ? 'mapbox' : 'none'),
+    timeout: parseInt(process.env.GEOCODER_TIMEOUT, 10) || 5000,
+    // Lookups are cached by coordinates rounded to this many decimals (4 = about 11 m)
+    cachePrecision: parseInt(process.env.GEOCODER_CACHE_PRECISION, 10) || 4,
+    notFoundTtl: 30 * 24 * 60 * 60 * 1000, // Places without an address are asked again after 30 days
+    mapbox: {
+      token: process.env.MAPBOX_TOKEN,
+    },
+    nominatim: {
+      url: process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org',
+      // The public server requires an identifying User-Agent and at most one request per second
+      userAgent: process.env.NOMINATIM_USER_AGENT || 'PhotoVault',
+      minInterval: parseInt(process.env.NOMINATIM_MIN_INTERVAL, 10) || 1000,
+      language: process.env.NOMINATIM_LANGUAGE || 'en',
+    },
+    geonames: {
+      // countryInfo.txt, admin1CodesASCII.txt and the cities file (bundled in the Docker image)
+      dir: process.env.GEONAMES_DIR || path.join(__dirname, '../../data/geonames'),
+      citiesFile: process.env.GEONAMES_CITIES_FILE || 'cities15000.txt',
+      maxDistance: parseInt(process.env.GEONAMES_MAX_DISTANCE, 10) || 50, // km to the nearest place, farther is not found
+    },
+  },
+
+  // Kubernetes Configuration (if applicable)
   kubernetes: {
     serviceName: process.env.K8S_SERVICE_NAME || 'photovault-api-service',
     namespace: process.env.K8S_NAMESPACE || 'photovault',
@@ -22,6 +22,174 @@ CREATE TABLE IF NOT EXISTS users (
     INDEX idx_active (is_active)
 );
 
+-- Create upload jobs table (also created by database-service on startup)
+CREATE TABLE IF NOT EXISTS upload_jobs (
+    id CHAR(36) PRIMARY KEY,
+    bucket VARCHAR(100) NOT NULL,
+    folder_path VARCHAR(255) NOT NULL DEFAULT '',
+    status VARCHAR(20) NOT NULL DEFAULT 'processing',
+    total_files INT NOT NULL DEFAULT 0,
+    uploaded_count INT NOT NULL DEFAULT 0,
+    failed_count INT NOT NULL DEFAULT 0,
+    rejected_count INT NOT NULL DEFAULT 0,
+    processing_time INT NULL,
+    error TEXT NULL,
+    heartbeat_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+
+    INDEX idx_status (status)
+);
+
+-- Create upload job items table (one row per file in a job)
+CREATE TABLE IF NOT EXISTS upload_job_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    job_id CHAR(36) NOT NULL,
+    file_index INT NOT NULL,
+    filename VARCHAR(255) NOT NULL,
+    mimetype VARCHAR(100) NULL,
+    size BIGINT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    object_name VARCHAR(512) NULL,
+    error TEXT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uniq_job_file (job_id, file_index),
+    FOREIGN KEY (job_id) REFERENCES upload_jobs(id) ON DELETE CASCADE
+);
+
+-- Create pending conversions table (photos stored unconverted while the converter was down)
+CREATE TABLE IF NOT EXISTS pending_conversions (
+    id CHAR(36) PRIMARY KEY,
+    job_id CHAR(36) NULL,
+    bucket VARCHAR(100) NOT NULL,
+    folder_path VARCHAR(255) NOT NULL DEFAULT '',
+    pending_object VARCHAR(512) NOT NULL,
+    original_name VARCHAR(255) NOT NULL,
+    mimetype VARCHAR(100) NOT NULL,
+    size BIGINT NOT NULL,
+    content_hash CHAR(64) NULL,
+    metadata JSON NULL,
+    archive_original BOOLEAN NOT NULL DEFAULT TRUE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    object_name VARCHAR(512) NULL,
+    error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    converted_at TIMESTAMP NULL,
+
+    INDEX idx_status (status)
+);
+
+-- Create media table (one row per stored photo or video, album JSON files are an export of it)
+CREATE TABLE IF NOT EXISTS media (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    album_id INT NULL,
+    bucket VARCHAR(100) NOT NULL,
+    object_key VARCHAR(512) NOT NULL,
+    media_type VARCHAR(10) NOT NULL DEFAULT 'photo',
+    mimetype VARCHAR(100) NULL,
+    size BIGINT NULL,
+    captured_at DATETIME(3) NULL,
+    latitude DECIMAL(9,6) NULL,
+    longitude DECIMAL(9,6) NULL,
+    address VARCHAR(512) NULL,
+    geocode_status VARCHAR(20) NULL,
+    geocode_provider VARCHAR(30) NULL,
+    geocode_error VARCHAR(255) NULL,
+    camera_make VARCHAR(100) NULL,
+    camera_model VARCHAR(100) NULL,
+    software VARCHAR(255) NULL,
+    lens VARCHAR(255) NULL,
+    camera_serial VARCHAR(100) NULL,
+    lens_serial VARCHAR(100) NULL,
+    title VARCHAR(255) NULL,
+    caption TEXT NULL,
+    rating TINYINT NULL,
+    offset_time_original VARCHAR(10) NULL,
+    content_identifier VARCHAR(100) NULL,
+    settings JSON NULL,
+    iso INT NULL,
+    aperture DECIMAL(5,2) NULL,
+    width INT NULL,
+    height INT NULL,
+    dimensions JSON NULL,
+    duration DOUBLE NULL,
+    content_hash CHAR(64) NULL,
+    original_key VARCHAR(512) NULL,
+    variants JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uniq_object (bucket, object_key),
+    INDEX idx_album_captured (album_id, captured_at),
+    INDEX idx_captured (captured_at),
+    INDEX idx_created (created_at),
+    INDEX idx_camera (camera_make, camera_model),
+    INDEX idx_iso (iso),
+    INDEX idx_aperture (aperture),
+    INDEX idx_location (latitude, longitude),
+    INDEX idx_content_hash (content_hash),
+    INDEX idx_content_identifier (content_identifier)
+);
+
+-- Create media keywords table (one row per keyword of a photo, for searching)
+CREATE TABLE IF NOT EXISTS media_keywords (
+    media_id INT NOT NULL,
+    keyword VARCHAR(100) NOT NULL,
+
+    PRIMARY KEY (media_id, keyword),
+    INDEX idx_keyword (keyword),
+    FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE CASCADE
+);
+
+-- Create geocode cache table (addresses found for rounded coordinates, per provider)
+CREATE TABLE IF NOT EXISTS geocode_cache (
+    provider VARCHAR(30) NOT NULL,
+    latitude DECIMAL(9,6) NOT NULL,
+    longitude DECIMAL(9,6) NOT NULL,
+    status ENUM('found', 'not_found') NOT NULL,
+    address VARCHAR(512) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (provider, latitude, longitude)
+);
+
+-- Create webhooks table (endpoints notified of library events)
+CREATE TABLE IF NOT EXISTS webhooks (
+    id CHAR(36) PRIMARY KEY,
+    url VARCHAR(2048) NOT NULL,
+    secret VARCHAR(255) NOT NULL,
+    events JSON NOT NULL,
+    description VARCHAR(255) NULL,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Create webhook deliveries table (one row per event sent to a webhook, with retry state)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id CHAR(36) PRIMARY KEY,
+    webhook_id CHAR(36) NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    payload JSON NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    response_status INT NULL,
+    error TEXT NULL,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP NULL,
+
+    INDEX idx_status_next_attempt (status, next_attempt_at),
+    INDEX idx_webhook (webhook_id, created_at),
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+);
+
 -- Insert default admin user (password: admin123)
 -- Hash generated with bcryptjs for 'admin123'
 INSERT IGNORE INTO users (username, email, password_hash, role) VALUES 
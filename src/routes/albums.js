@@ -1,4 +1,5 @@
 // routes/albums.js
+const fs = require("fs");
 const express = require("express");
 const router = express.Router();
 const multer = require("multer");
@@ -7,6 +8,10 @@ const { authenticateToken, requireRole } = require("../middleware/authMW");
 
 const database = require("../services/database-service");
 const MetadataService = require("../services/metadata-service");
+const UploadService = require("../services/upload-service");
+const { checkDeclaredType } = require("../utils/file-type");
+const { toMediaRecord, toMetadataEntry } = require("../utils/media-record");
+const { VARIANT_SIZES, variantObjectName, variantFallbacks, isVariantObject } = require("../utils/variants");
 
 const config = require("../config");
 
@@ -16,11 +21,23 @@ const debugMinio = debug("photovault:minio");
 const debugUpload = debug("photovault:upload");
 
 
-// Configure multer for file uploads (store in memory)
+// Configure multer for file uploads (streamed to a temp dir on disk so batches don't fill the heap)
 const upload = multer({
-  storage: multer.memoryStorage(),
+  storage: multer.diskStorage({
+    destination: config.upload.incomingDir,
+  }),
   limits: {
-    fileSize: 2 * 1024 * 1024 * 1024, // 2GB limit for large video files from iPhone
+    fileSize: config.upload.maxFileSize, // 2GB limit for large video files from iPhone
+  },
+  // Refuse declared types outside the allow-list before receiving them; the content is sniffed
+  // again during processing. Refused files are reported in the response and the job results.
+  fileFilter: (req, file, cb) => {
+    const reason = checkDeclaredType(file.mimetype);
+    if (reason) {
+      req.rejectedFiles = [...(req.rejectedFiles || []), { filename: file.originalname, mimetype: file.mimetype, reason }];
+      return cb(null, false);
+    }
+    cb(null, true);
   },
 });
 
@@ -55,88 +72,22 @@ const getAlbums = (minioClient) => async (req, res) => {
 };
 
 // POST /buckets/:bucketName/folders - Create a folder (Admin only)
-const createAlbum = (minioClient) => async (req, res) => {
+const createAlbum = (albumService) => async (req, res) => {
   try {
-    const { folderPath } = req.params;
-
-    // Clean the folder path: remove leading/trailing slashes, then ensure it ends with /
-    let cleanPath = folderPath.trim();
-    cleanPath = cleanPath.replace(/^\/+/, ""); // Remove leading slashes
-    cleanPath = cleanPath.replace(/\/+$/, ""); // Remove trailing slashes
-    cleanPath = cleanPath.replace(/\/+/g, "/"); // Replace multiple slashes with single slash
-
-    if (!cleanPath) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid album name",
-      });
-    }
-
-    const normalizedPath = `${cleanPath}/`;
-
-    const existingObjects = [];
-    const stream = minioClient.listObjectsV2(process.env.MINIO_BUCKET_NAME, normalizedPath, false);
-
-    for await (const obj of stream) {
-      existingObjects.push(obj);
-      break; // We only need to check if any object exists with this prefix
-    }
-
-    if (existingObjects.length > 0) {
-      return res.status(409).json({
-        success: false,
-        error: "Album already exists",
-      });
-    }
-
-    // Instead of creating an empty folder marker, create a metadata JSON file
-    // This serves as both the folder marker and metadata storage
-    const metadataPath = `${normalizedPath}${cleanPath}.json`;
-
-    const initialMetadata = {
-      album: {
-        name: cleanPath,
-        created: new Date().toISOString(),
-        description: "",
-        totalObjects: 0,
-        totalSize: 0,
-        lastModified: new Date().toISOString(),
-      },
-      media: [],
-    };
-
-    const metadataContent = Buffer.from(
-      JSON.stringify(initialMetadata, null, 2)
-    );
-
-    let minIoCreate = await minioClient.putObject(
-      config.minio.bucketName,
-      metadataPath,
-      metadataContent,
-      metadataContent.length,
-      {
-        "Content-Type": "application/json",
-        "X-Amz-Meta-Type": "album-metadata",
-      }
-    );
-
-    let mariaCreate = await database.createAlbum({
-      name: cleanPath,
-      path: normalizedPath,
-      description: "",
-    });
+    const album = await albumService.createAlbum(req.params.folderPath);
+    const folderName = album.path.replace(/\/$/, "");
 
     res.status(201).json({
       success: true,
-      message: `Folder '${cleanPath}' created successfully`,
+      message: `Folder '${folderName}' created successfully`,
       data: {
         bucket: config.minio.bucketName,
-        folderPath: normalizedPath,
-        folderName: cleanPath,
+        folderPath: album.path,
+        folderName,
       },
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
     });
@@ -157,6 +108,11 @@ const getPhotos = (minioClient) => async (req, res) => {
       });
     }
 
+    // Metadata of the album's photos (capture time, place, camera, caption, keywords, rating...)
+    const mediaByKey = new Map(
+      (await database.getMediaByAlbum(album.id)).map((media) => [media.object_key, media])
+    );
+
     // Fetch the MinIO objects for this album using the album.path
     const objects = [];
     const stream = minioClient.listObjectsV2(
@@ -166,6 +122,9 @@ const getPhotos = (minioClient) => async (req, res) => {
     ); // recursive = true to get all files
 
     for await (const obj of stream) {
+      // Resized variants are served through the object route, not listed
+      if (isVariantObject(obj.name)) continue;
+
       // Skip metadata JSON files
       if (obj.name.endsWith(".json") && obj.name.includes("/")) {
         const pathParts = obj.name.split("/");
@@ -176,12 +135,14 @@ const getPhotos = (minioClient) => async (req, res) => {
         }
       }
 
+      const media = mediaByKey.get(obj.name);
       objects.push({
         name: obj.name,
         size: obj.size,
         lastModified: obj.lastModified,
         etag: obj.etag,
         type: "file",
+        metadata: media ? toMetadataEntry(media) : null,
       });
     }
 
@@ -201,10 +162,19 @@ const getPhotos = (minioClient) => async (req, res) => {
   }
 };
 
-// GET /albums/:name/object/:object - Fetch a single object from an album
+// GET /albums/:name/object/:object?size=thumb|medium|large|full - Fetch a single object from an album
+// Missing variants fall back to the nearest existing size (larger first)
 const getObject = (minioClient) => async (req, res) => {
   try {
     const { name, object } = req.params;
+    const size = req.query.size || "full";
+
+    if (!VARIANT_SIZES.includes(size)) {
+      return res.status(400).json({
+        success: false,
+        error: `size must be one of: ${VARIANT_SIZES.join(", ")}`,
+      });
+    }
 
     const album = await database.getAlbumByName(name);
     if (!album) {
@@ -214,10 +184,23 @@ const getObject = (minioClient) => async (req, res) => {
     const objectKey = `${album.path}${object}`;
 
     // Get object metadata first (for headers like content-type, length)
-    const stat = await minioClient.statObject(
-      config.minio.bucketName,
-      objectKey
-    );
+    let stat;
+    let servedKey;
+    let servedSize;
+    for (const candidate of variantFallbacks(size)) {
+      try {
+        servedKey = variantObjectName(objectKey, candidate);
+        stat = await minioClient.statObject(config.minio.bucketName, servedKey);
+        servedSize = candidate;
+        break;
+      } catch (error) {
+        if (error.code !== "NotFound" && error.code !== "NoSuchKey") throw error;
+      }
+    }
+
+    if (!stat) {
+      return res.status(404).json({ success: false, error: "Object not found" });
+    }
 
     // Set response headers
     res.setHeader(
@@ -226,11 +209,12 @@ const getObject = (minioClient) => async (req, res) => {
     );
     res.setHeader("Content-Length", stat.size);
     res.setHeader("ETag", stat.etag);
+    res.setHeader("X-Variant", servedSize);
 
     // Stream object to response
     const stream = await minioClient.getObject(
       config.minio.bucketName,
-      objectKey
+      servedKey
     );
     stream.pipe(res);
 
@@ -242,37 +226,150 @@ const getObject = (minioClient) => async (req, res) => {
   }
 };
 
-// POST /buckets/:bucketName/upload - Upload files to a bucket
-const uploadFiles = (processFilesInBackground) => async (req, res) => {
+// GET /albums/:name/original/:object - Download the archived original of a converted photo (Admin only)
+const getOriginal = (minioClient) => async (req, res) => {
+  try {
+    const { name, object } = req.params;
+
+    const album = await database.getAlbumByName(name);
+    if (!album) {
+      return res.status(404).json({ success: false, error: "Album not found" });
+    }
+
+    const media = await database.getMedia(config.minio.bucketName, `${album.path}${object}`);
+    if (!media || !media.original_key) {
+      return res.status(404).json({ success: false, error: "No original archived for this object" });
+    }
+
+    const { bucket } = config.upload.originals;
+    const stat = await minioClient.statObject(bucket, media.original_key);
+    const filename = stat.metaData["original-name"] || media.original_key.split("/").pop();
+
+    res.setHeader("Content-Type", stat.metaData["content-type"] || "application/octet-stream");
+    res.setHeader("Content-Length", stat.size);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename.replace(/"/g, "")}"`);
+
+    const stream = await minioClient.getObject(bucket, media.original_key);
+    stream.pipe(res);
+
+    stream.on("error", (err) => {
+      res.status(500).json({ success: false, error: err.message });
+    });
+  } catch (error) {
+    if (error.code === "NoSuchKey" || error.code === "NotFound") {
+      return res.status(404).json({ success: false, error: "Archived original not found" });
+    }
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// PUT /albums/:name/settings - Change per-album settings (Admin only)
+const updateAlbumSettings = () => async (req, res) => {
+  try {
+    const { archiveOriginals } = req.body || {};
+    if (typeof archiveOriginals !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        error: "archiveOriginals must be a boolean",
+      });
+    }
+
+    const album = await database.getAlbumByName(req.params.name);
+    if (!album) {
+      return res.status(404).json({ success: false, error: "Album not found" });
+    }
+
+    await database.updateAlbumSettings(album.id, { archiveOriginals });
+    debugAlbum(`[albums.js] Album ${album.name}: archiveOriginals=${archiveOriginals}`);
+
+    res.json({
+      success: true,
+      data: {
+        album: album.name,
+        archiveOriginals,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Remove the temp files of a refused upload
+const discardFiles = (files = []) =>
+  Promise.all(files.map((file) => fs.promises.rm(file.path, { force: true })));
+
+// POST /albums/:name/upload - Upload files into a registered album (createAlbum=true creates it first)
+// POST /buckets/:bucketName/upload - Legacy form, the album is given by the folderPath field
+const uploadFiles = (albumService, processFilesInBackground) => async (req, res) => {
   const startTime = Date.now();
   const jobId = uuidv4(); // Generate unique job ID for this upload
 
   try {
-    const { folderPath = "" } = req.body;
+    const { folderPath = "", createAlbum = false } = req.body || {};
     const files = req.files;
+    const rejectedFiles = req.rejectedFiles || [];
 
     if (!files || files.length === 0) {
+      if (rejectedFiles.length > 0) {
+        return res.status(415).json({
+          success: false,
+          error: "None of the files has an allowed type",
+          rejectedFiles,
+        });
+      }
       return res.status(400).json({
         success: false,
         error: "No files provided",
       });
     }
 
+    // How to treat files whose content already exists (skip | replace | keep, album | library)
+    const { options, error: optionsError } = UploadService.parseUploadOptions(req.body);
+    if (optionsError) {
+      await discardFiles(files);
+      return res.status(400).json({
+        success: false,
+        error: optionsError,
+      });
+    }
+
+    // Files may only land in a registered album, otherwise they are never listed or counted
+    let album;
+    try {
+      album = await albumService.resolveUploadAlbum(req.params.name ?? folderPath, {
+        create: createAlbum === true || createAlbum === "true",
+      });
+    } catch (error) {
+      await discardFiles(files);
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     const response = {
       success: true,
       message: "Files received successfully and are being processed",
       data: {
         bucket: config.minio.bucketName,
-        folderPath: folderPath || "/",
+        album: album.name,
+        folderPath: album.folderPath,
         filesReceived: files.length,
+        filesRejected: rejectedFiles.length,
+        rejectedFiles,
         status: "processing",
         jobId: jobId, // Return the job ID to the client
+        duplicates: options.duplicates,
+        duplicateScope: options.duplicateScope,
         timestamp: new Date().toISOString(),
       },
     };
 
     res.status(200).json(response);
-    processFilesInBackground(files, config.minio.bucketName, folderPath, startTime, jobId);
+    processFilesInBackground(files, config.minio.bucketName, album.folderPath, startTime, jobId, {
+      ...options,
+      rejectedFiles,
+    });
   } catch (error) {
     const errorTime = Date.now() - startTime;
 
@@ -284,57 +381,20 @@ const uploadFiles = (processFilesInBackground) => async (req, res) => {
 };
 
 // DELETE /buckets/:bucketName/objects - Delete objects from a bucket
-const deleteObjects = (minioClient) => async (req, res) => {
+const deleteObjects = (webhookService, uploadService) => async (req, res) => {
   const folderPath = req.params.folderPath;
   const objectName = req.params.objectName;
   const objectPath = `${folderPath}/${objectName}`;
 
   try {
-    // Delete the object from MinIO
-    await minioClient.removeObject(config.minio.bucketName, objectPath);
-
-    // Extract folder name from the path to construct correct metadata path
-    const pathParts = folderPath.split('/');
-    const folderName = pathParts[pathParts.length - 1];
-    const metadataPath = `${folderPath}/${folderName}.json`;
-
-    try {
-      // Try to read and update the metadata file
-      const metadataStream = await minioClient.getObject(config.minio.bucketName, metadataPath);
-      let metadata = "";
-      for await (const chunk of metadataStream) {
-        metadata += chunk.toString();
-      }
-
-      const metadataJson = JSON.parse(metadata);
-
-      // Remove the object from the media array using sourceImage field
-      const originalLength = metadataJson.media.length;
-      metadataJson.media = metadataJson.media.filter((item) => item.sourceImage !== objectName);
-
-      // Update lastUpdated timestamp
-      metadataJson.lastUpdated = new Date().toISOString();
-
-      // Only update if we actually removed something
-      if (metadataJson.media.length < originalLength) {
-        const updatedMetadata = Buffer.from(JSON.stringify(metadataJson, null, 2));
-        await minioClient.putObject(
-          config.minio.bucketName,
-          metadataPath,
-          updatedMetadata,
-          updatedMetadata.length,
-          {
-            "Content-Type": "application/json",
-          }
-        );
-      } else {
-        //debugUpload(`[albums.js] Object ${objectName} not found in metadata, skipping metadata update`);
-      }
+    // Delete the object with its variants, archived original, media row and album JSON entry
+    const { metadataUpdated } = await uploadService.deleteStoredMedia(config.minio.bucketName, objectPath);
 
-    } catch (metadataError) {
-      // If metadata file doesn't exist or can't be read, log it but don't fail the deletion
-      //debugUpload(`[albums.js] Metadata update failed (non-critical): ${metadataError.message}`);
-    }
+    webhookService.emit("photo.deleted", {
+      bucket: config.minio.bucketName,
+      folderPath,
+      objectName: objectPath,
+    });
 
     res.status(200).json({
       success: true,
@@ -342,7 +402,7 @@ const deleteObjects = (minioClient) => async (req, res) => {
       data: {
         deletedObject: objectName,
         objectPath: objectPath,
-        metadataUpdated: true
+        metadataUpdated
       }
     });
   } catch (error) {
@@ -354,7 +414,7 @@ const deleteObjects = (minioClient) => async (req, res) => {
 };
 
 // Update photo metadata in the album JSON file
-const updatePhotoMetadata = (minioClient) => async (req, res) => {
+const updatePhotoMetadata = (minioClient, webhookService) => async (req, res) => {
   try {
     const { folderPath, objectName } = req.params;
     const { metadata } = req.body;
@@ -368,56 +428,62 @@ const updatePhotoMetadata = (minioClient) => async (req, res) => {
 
     const metadataService = new MetadataService(minioClient);
 
-    await metadataService.getAddressFromCoordinates(metadata.coordinates)
-      .then(address => {
-      })
-      .catch(err => {
-        console.error(`Error finding address: ${err}`);
+    // Moved without a new address: look it up (failures are kept in geocoding, not in location)
+    if (metadata.coordinates && metadata.location === undefined && metadata.address === undefined) {
+      const geocoding = await metadataService.getAddressFromCoordinates(metadata.coordinates);
+      if (geocoding) {
+        metadata.location = geocoding.address ?? "not found";
+        metadata.geocoding = { status: geocoding.status, provider: geocoding.provider, error: geocoding.error };
+      }
+    }
+
+    const objectKey = `${folderPath}/${objectName}`;
+    const media = await database.getMedia(config.minio.bucketName, objectKey);
+    if (!media && !config.media.albumJsonExport) {
+      return res.status(404).json({
+        success: false,
+        message: "Photo not found."
       });
+    }
+
+    // The stored row with the edits applied is complete, so a field sent empty is cleared
+    if (media) {
+      const stored = toMetadataEntry(media);
+      // An address edited by hand no longer comes from the geocoder
+      if ((metadata.location !== undefined || metadata.address !== undefined) && !metadata.geocoding) {
+        delete stored.geocoding;
+      }
+      const record = toMediaRecord({ ...stored, ...metadata }, {
+        bucket: media.bucket,
+        objectKey,
+        albumId: media.album_id,
+        mimetype: media.mimetype,
+        size: media.size,
+      });
+      await database.upsertMedia(record, { overwrite: true });
+    }
 
     // Construct the metadata file path
     const metadataPath = `${folderPath}/${folderPath}.json`;
 
     try {
-      // Read the current metadata file
-      const metadataStream = await minioClient.getObject(config.minio.bucketName, metadataPath);
-      let currentMetadata = "";
-      for await (const chunk of metadataStream) {
-        currentMetadata += chunk.toString();
-      }
-
-      const metadataJson = JSON.parse(currentMetadata);
-
-      // Find and update the specific photo's metadata
-      const photoIndex = metadataJson.media.findIndex(item => item.sourceImage === `${folderPath}/${objectName}`);
-
-      if (photoIndex === -1) {
-        return res.status(404).json({
-          success: false,
-          message: "Photo not found in metadata."
-        });
+      if (config.media.albumJsonExport) {
+        const updatedEntry = await metadataService.patchFolderMetadata(config.minio.bucketName, objectKey, metadata);
+
+        if (!updatedEntry && !media) {
+          return res.status(404).json({
+            success: false,
+            message: "Photo not found in metadata."
+          });
+        }
       }
 
-      // Update the metadata for this photo
-      metadataJson.media[photoIndex] = {
-        ...metadataJson.media[photoIndex],
-        ...metadata
-      };
-
-      // Update the lastUpdated timestamp
-      metadataJson.lastUpdated = new Date().toISOString();
-
-      // Write the updated metadata back to MinIO
-      const updatedMetadataContent = Buffer.from(JSON.stringify(metadataJson, null, 2));
-      await minioClient.putObject(
-        config.minio.bucketName,
-        metadataPath,
-        updatedMetadataContent,
-        updatedMetadataContent.length,
-        {
-          "Content-Type": "application/json",
-        }
-      );
+      webhookService.emit("metadata.updated", {
+        bucket: config.minio.bucketName,
+        folderPath,
+        objectName: objectKey,
+        changes: metadata,
+      });
 
       res.status(200).json({
         success: true,
@@ -447,35 +513,54 @@ const updatePhotoMetadata = (minioClient) => async (req, res) => {
 };
 
 // Consolidate the module.exports into a single export
-module.exports = (minioClient, processFilesInBackground) => {
+module.exports = (minioClient, processFilesInBackground, albumService, webhookService, uploadService) => {
   router.get("/albums", getAlbums(minioClient));
   router.get("/album/:name", getPhotos(minioClient));
   router.get("/objects/:name", getPhotos(minioClient));
   router.get("/albums/:name/object/:object", getObject(minioClient));
+  router.get(
+    "/albums/:name/original/:object",
+    authenticateToken,
+    requireRole("admin"),
+    getOriginal(minioClient)
+  );
+  router.put(
+    "/albums/:name/settings",
+    authenticateToken,
+    requireRole("admin"),
+    updateAlbumSettings()
+  );
+  router.post(
+    "/albums/:name/upload",
+    authenticateToken,
+    requireRole("admin"),
+    upload.array("files"),
+    uploadFiles(albumService, processFilesInBackground)
+  );
   router.post(
     "/buckets/:bucketName/upload",
     authenticateToken,
     requireRole("admin"),
     upload.array("files"),
-    uploadFiles(processFilesInBackground)
+    uploadFiles(albumService, processFilesInBackground)
   );
   router.post(
     "/album/:folderPath",
     authenticateToken,
     requireRole("admin"),
-    createAlbum(minioClient)
+    createAlbum(albumService)
   );
   router.delete(
     "/objects/:folderPath/:objectName",
     authenticateToken,
     requireRole("admin"),
-    deleteObjects(minioClient)
+    deleteObjects(webhookService, uploadService)
   );
   router.put(
     "/objects/:folderPath/:objectName",
     authenticateToken,
     requireRole("admin"),
-    updatePhotoMetadata(minioClient)
+    updatePhotoMetadata(minioClient, webhookService)
   );
 
   return router;
@@ -487,8 +572,8 @@ function countObjectsInPath(minioClient, bucket, prefix) {
     let count = 0;
     const stream = minioClient.listObjectsV2(bucket, prefix, true);
 
-    stream.on("data", () => {
-      count++;
+    stream.on("data", (obj) => {
+      if (!isVariantObject(obj.name)) count++;
     });
 
     stream.on("end", () => {
@@ -0,0 +1,130 @@
+// routes/conversions.js - Photos waiting for a deferred AVIF conversion
+const express = require("express");
+const { authenticateToken, requireRole } = require("../middleware/authMW");
+const database = require("../services/database-service");
+
+const debug = require("debug");
+const debugQueue = debug("photovault:conversion-queue");
+
+const STATUSES = ["pending", "converting", "converted", "failed"];
+
+// Map a pending_conversions row to the API response shape
+const formatConversion = (conversion) => ({
+  id: conversion.id,
+  jobId: conversion.job_id,
+  bucket: conversion.bucket,
+  folderPath: conversion.folder_path,
+  originalName: conversion.original_name,
+  mimetype: conversion.mimetype,
+  size: conversion.size,
+  pendingObject: conversion.pending_object,
+  status: conversion.status,
+  attempts: conversion.attempts,
+  objectName: conversion.object_name,
+  error: conversion.error,
+  createdAt: conversion.created_at,
+  updatedAt: conversion.updated_at,
+  convertedAt: conversion.converted_at,
+});
+
+// GET /conversions?status=pending|converting|converted|failed - List deferred conversions
+const listConversions = () => async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${STATUSES.join(", ")}`,
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const conversions = await database.getPendingConversions({ status: status || null, limit });
+
+    res.json({
+      success: true,
+      conversions: conversions.map(formatConversion),
+    });
+  } catch (error) {
+    debugQueue(`[conversions.js] Error listing conversions: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// POST /conversions/:id/retry - Queue a failed conversion again and run the queue now.
+// A conversion 'converting' for longer than staleAfter lost its worker and is queued again too.
+const retryConversion = (conversionQueue) => async (req, res) => {
+  try {
+    const conversion = await database.getPendingConversion(req.params.id);
+    if (!conversion) {
+      return res.status(404).json({
+        success: false,
+        error: "Conversion not found",
+      });
+    }
+
+    if (conversion.status === "converted") {
+      return res.status(409).json({
+        success: false,
+        error: "Conversion is already converted",
+      });
+    }
+
+    const requeued = await database.retryPendingConversions(conversion.id, {
+      staleAfterMs: conversionQueue.options.staleAfter,
+    });
+    if (requeued === 0 && conversion.status === "converting") {
+      return res.status(409).json({
+        success: false,
+        error: "Conversion is already converting",
+      });
+    }
+    conversionQueue.processQueue();
+
+    res.status(202).json({
+      success: true,
+      message: "Conversion queued",
+      data: { id: conversion.id },
+    });
+  } catch (error) {
+    debugQueue(`[conversions.js] Error retrying conversion ${req.params.id}: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// POST /conversions/retry - Queue every failed conversion again and run the queue now
+const retryAllConversions = (conversionQueue) => async (req, res) => {
+  try {
+    const requeued = await database.retryPendingConversions();
+    conversionQueue.processQueue();
+
+    res.status(202).json({
+      success: true,
+      message: `${requeued} failed conversion(s) queued`,
+      data: { requeued },
+    });
+  } catch (error) {
+    debugQueue(`[conversions.js] Error retrying conversions: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// Export factory function that accepts dependencies
+module.exports = (conversionQueue) => {
+  const router = express.Router();
+  const adminOnly = [authenticateToken, requireRole("admin")];
+
+  router.get("/conversions", ...adminOnly, listConversions());
+  router.post("/conversions/retry", ...adminOnly, retryAllConversions(conversionQueue));
+  router.post("/conversions/:id/retry", ...adminOnly, retryConversion(conversionQueue));
+  return router;
+};
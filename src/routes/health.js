@@ -4,6 +4,9 @@ const debug = require("debug");
 const debugHealth = debug("photovault:health");
 const config = require("../config"); // defaults to ./config/index.js
 const database = require("../services/database-service");
+const { createConverter } = require("../services/converter-service");
+
+const converter = createConverter();
 
 // Health check route
 const healthCheck = (minioClient) => async (req, res) => {
@@ -33,25 +36,15 @@ const healthCheck = (minioClient) => async (req, res) => {
     // console.error('❌ Database health check failed:', err.message);
   }
 
-  // Converter check
+  // Converter check (HTTP microservice or in-process backend)
   try {
-    const converterUrl = config.converter.url;
-    const timeout = parseInt(config.converter.timeout, 10);
-
-    const controller = new AbortController();
-    const timer = setTimeout(() => controller.abort(), timeout);
-
-    const response = await fetch(`${converterUrl}/health`, {
-      signal: controller.signal,
-    });
-
-    clearTimeout(timer);
+    const health = await converter.checkHealth();
 
-    if (response.ok) {
+    if (health.success) {
       converterHealthy = true;
       //debugHealth(`[health.js - line 42]: Converter is healthy`);
     } else {
-      //debugHealth(`[health.js - line 44]: Converter unhealthy: ${response.status}`);
+      //debugHealth(`[health.js - line 44]: Converter unhealthy: ${health.error}`);
     }
   } catch (error) {
     //debugHealth(`[health.js - line 46]: Converter failure: ${error.message}`);
@@ -75,7 +68,9 @@ const healthCheck = (minioClient) => async (req, res) => {
     },
     converter: {
       connected: converterHealthy,
-      endpoint: config.converter.url,
+      backend: converter.name,
+      endpoint: converter.name === "http" ? config.converter.url : null,
+      ...(converter.getCircuitState && { circuitBreaker: converter.getCircuitState() }),
     },
   });
 };
@@ -0,0 +1,108 @@
+// routes/jobs.js
+const express = require("express");
+const { authenticateToken, requireRole } = require("../middleware/authMW");
+const database = require("../services/database-service");
+
+const debug = require("debug");
+const debugJobs = debug("photovault:jobs");
+
+// Map a stored job row (and its items) to the API response shape
+const formatJob = (job) => ({
+  jobId: job.id,
+  bucket: job.bucket,
+  folderPath: job.folder_path,
+  status: job.status,
+  results: {
+    total: job.total_files,
+    uploaded: job.uploaded_count,
+    failed: job.failed_count,
+    rejected: job.rejected_count,
+    processingTime: job.processing_time,
+  },
+  error: job.error,
+  createdAt: job.created_at,
+  updatedAt: job.updated_at,
+  completedAt: job.completed_at,
+  files: job.items.map((item) => ({
+    index: item.file_index,
+    filename: item.filename,
+    mimetype: item.mimetype,
+    size: item.size,
+    status: item.status,
+    objectName: item.object_name,
+    error: item.error,
+    updatedAt: item.updated_at,
+  })),
+});
+
+// GET /jobs/:jobId - Get the stored status and per-file results of an upload job
+const getJob = () => async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const job = await database.getUploadJob(jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Job not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      job: formatJob(job),
+    });
+  } catch (error) {
+    debugJobs(`[jobs.js] Error fetching job ${req.params.jobId}: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// DELETE /jobs/:jobId?rollback=true - Cancel a running upload job (Admin only)
+const cancelJob = (cancelUploadJob) => async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const rollback = req.query.rollback === "true";
+
+    if (cancelUploadJob(jobId, { rollback })) {
+      return res.status(202).json({
+        success: true,
+        message: "Cancellation requested, a 'cancelled' event will follow on the job's event stream",
+        data: { jobId, rollback },
+      });
+    }
+
+    // Not running here: tell the caller whether it is unknown, finished, or owned by another instance
+    const job = await database.getUploadJob(jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Job not found",
+      });
+    }
+
+    res.status(409).json({
+      success: false,
+      error: job.status === "processing"
+        ? "Job is not being processed by this server"
+        : `Job already finished with status '${job.status}'`,
+    });
+  } catch (error) {
+    debugJobs(`[jobs.js] Error cancelling job ${req.params.jobId}: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// Export factory function that accepts dependencies
+module.exports = (cancelUploadJob) => {
+  const router = express.Router();
+  router.get("/jobs/:jobId", authenticateToken, requireRole("admin"), getJob());
+  router.delete("/jobs/:jobId", authenticateToken, requireRole("admin"), cancelJob(cancelUploadJob));
+  return router;
+};
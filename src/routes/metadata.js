@@ -0,0 +1,93 @@
+// routes/metadata.js - Re-extraction of the metadata of photos already in the library (Admin only)
+const express = require("express");
+const { v4: uuidv4 } = require("uuid");
+const { authenticateToken, requireRole } = require("../middleware/authMW");
+const database = require("../services/database-service");
+
+const debug = require("debug");
+const debugMetadata = debug("photovault:metadata");
+
+// POST /metadata/refresh - Re-read EXIF and look up missing addresses { album?, dryRun?, geocodeOnly? }
+// Runs in the background; progress is streamed on /processing-status/:jobId
+const startRefresh = (metadataRefreshService, sendSSEEvent) => async (req, res) => {
+  try {
+    const album = req.body?.album ? String(req.body.album) : null;
+    const dryRun = req.body?.dryRun === true || req.body?.dryRun === "true";
+    const geocodeOnly = req.body?.geocodeOnly === true || req.body?.geocodeOnly === "true";
+
+    if (album && !(await database.getAlbumByName(album))) {
+      return res.status(404).json({
+        success: false,
+        error: `Album "${album}" not found`,
+      });
+    }
+
+    const jobId = uuidv4();
+    const startTime = Date.now();
+    const refresh = metadataRefreshService.start({
+      album,
+      dryRun,
+      geocodeOnly,
+      onProgress: (eventType, data) => sendSSEEvent(jobId, eventType, data),
+    });
+    if (!refresh) {
+      return res.status(409).json({
+        success: false,
+        error: "A metadata refresh is already running",
+        data: metadataRefreshService.running,
+      });
+    }
+
+    refresh
+      .then((results) => {
+        sendSSEEvent(jobId, "complete", {
+          status: results.failed === 0 ? "success" : "partial",
+          message: `${results.total} file(s) checked, ${results.changed} ${dryRun ? "would change" : "changed"}, ${results.failed} failed`,
+          results: { ...results, processingTime: Date.now() - startTime },
+        });
+      })
+      .catch((error) => {
+        debugMetadata(`[metadata.js] Metadata refresh ${jobId} failed: ${error.message}`);
+        sendSSEEvent(jobId, "complete", {
+          status: "failed",
+          message: `Metadata refresh failed: ${error.message}`,
+          error: error.message,
+        });
+      });
+
+    res.status(202).json({
+      success: true,
+      message: dryRun ? "Dry run started, nothing will be written" : "Metadata refresh started",
+      data: {
+        jobId, // Progress: GET /processing-status/:jobId
+        album,
+        dryRun,
+        geocodeOnly,
+      },
+    });
+  } catch (error) {
+    debugMetadata(`[metadata.js] Error starting metadata refresh: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// GET /metadata/refresh - The refresh running in this instance, if any
+const getRefresh = (metadataRefreshService) => (req, res) => {
+  res.json({
+    success: true,
+    running: metadataRefreshService.running,
+  });
+};
+
+// Export factory function that accepts dependencies
+module.exports = (metadataRefreshService, sendSSEEvent) => {
+  const router = express.Router();
+  const adminOnly = [authenticateToken, requireRole("admin")];
+
+  router.get("/metadata/refresh", ...adminOnly, getRefresh(metadataRefreshService));
+  router.post("/metadata/refresh", ...adminOnly, startRefresh(metadataRefreshService, sendSSEEvent));
+  return router;
+};
@@ -0,0 +1,161 @@
+// routes/search.js - Photo search across albums, on the media table
+const express = require("express");
+const database = require("../services/database-service");
+const { toSqlDateTime, fromSqlDateTime, toMetadataEntry } = require("../utils/media-record");
+
+const debug = require("debug");
+const debugSearch = debug("photovault:search");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const SORTS = ["captured", "uploaded"];
+const ORDERS = ["asc", "desc"];
+// Sort option -> media column the cursor points into
+const SORT_FIELDS = { captured: "captured_at", uploaded: "created_at" };
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Query value as a trimmed string, undefined when absent or empty
+function text(value, name) {
+  if (value === undefined) return undefined;
+  if (typeof value !== "string") throw badRequest(`${name} must be given once`);
+  return value.trim() || undefined;
+}
+
+function number(value, name) {
+  const raw = text(value, name);
+  if (raw === undefined) return undefined;
+  const parsed = Number(raw);
+  if (!Number.isFinite(parsed)) throw badRequest(`${name} must be a number`);
+  return parsed;
+}
+
+// "2024-06-01" (the camera's local date) or an ISO timestamp; either is inclusive as the upper bound
+function dateBound(value, name, { end = false } = {}) {
+  const raw = text(value, name);
+  if (raw === undefined) return undefined;
+  const date = new Date(DATE_ONLY.test(raw) ? `${raw}T00:00:00Z` : raw);
+  if (Number.isNaN(date.getTime())) throw badRequest(`${name} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+  // The query compares with "before", so an upper bound moves to the next day or millisecond
+  if (DATE_ONLY.test(raw)) {
+    if (end) date.setUTCDate(date.getUTCDate() + 1);
+    return { day: date.toISOString().slice(0, 10) };
+  }
+  if (end) date.setUTCMilliseconds(date.getUTCMilliseconds() + 1);
+  return { at: toSqlDateTime(date) };
+}
+
+// "west,south,east,north" in degrees
+function boundingBox(value) {
+  const raw = text(value, "bbox");
+  if (raw === undefined) return undefined;
+  const [west, south, east, north] = raw.split(",").map((part) => Number(part.trim()));
+  const valid =
+    raw.split(",").length === 4 &&
+    [west, south, east, north].every(Number.isFinite) &&
+    south <= north &&
+    south >= -90 && north <= 90 &&
+    Math.abs(west) <= 180 && Math.abs(east) <= 180;
+  if (!valid) throw badRequest("bbox must be west,south,east,north in degrees");
+  return { west, south, east, north };
+}
+
+function parseFilters(query) {
+  const keywords = query.keyword === undefined ? [] : [].concat(query.keyword);
+  if (keywords.some((keyword) => typeof keyword !== "string")) throw badRequest("Invalid keyword");
+
+  return {
+    from: dateBound(query.from, "from"),
+    to: dateBound(query.to, "to", { end: true }),
+    make: text(query.make, "make"),
+    model: text(query.model, "model"),
+    lens: text(query.lens, "lens"),
+    isoMin: number(query.isoMin, "isoMin"),
+    isoMax: number(query.isoMax, "isoMax"),
+    apertureMin: number(query.apertureMin, "apertureMin"),
+    apertureMax: number(query.apertureMax, "apertureMax"),
+    address: text(query.address ?? query.q, "address"),
+    keywords: keywords.map((keyword) => keyword.trim()).filter(Boolean),
+    album: text(query.album, "album"),
+    bbox: boundingBox(query.bbox),
+  };
+}
+
+// Cursors are opaque to clients: the sort they belong to and the last row of a page
+function encodeCursor(sort, order, row) {
+  const value = fromSqlDateTime(row[SORT_FIELDS[sort]]);
+  return Buffer.from(JSON.stringify({ s: `${sort}:${order}`, v: value, id: row.id })).toString("base64url");
+}
+
+function decodeCursor(cursor, sort, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch {
+    throw badRequest("Invalid cursor");
+  }
+  if (decoded?.s !== `${sort}:${order}` || !Number.isInteger(decoded.id)) {
+    throw badRequest("Invalid cursor, or one of another sort order");
+  }
+  const value = decoded.v === null ? null : toSqlDateTime(decoded.v);
+  if (decoded.v !== null && value === null) throw badRequest("Invalid cursor");
+  return { value, id: decoded.id };
+}
+
+// GET /search - Photos and videos of every album matching the filters
+// ?from&to&make&model&lens&isoMin&isoMax&apertureMin&apertureMax&address&keyword&album&bbox
+//  &sort=captured|uploaded&order=desc|asc&limit&cursor
+const searchMedia = () => async (req, res) => {
+  try {
+    const filters = parseFilters(req.query);
+    const sort = text(req.query.sort, "sort") || "captured";
+    const order = text(req.query.order, "order") || "desc";
+    if (!SORTS.includes(sort)) throw badRequest(`sort must be one of ${SORTS.join(", ")}`);
+    if (!ORDERS.includes(order)) throw badRequest(`order must be one of ${ORDERS.join(", ")}`);
+
+    const limit = number(req.query.limit, "limit") ?? DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw badRequest(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+    const cursor = text(req.query.cursor, "cursor");
+    const after = cursor ? decodeCursor(cursor, sort, order) : null;
+
+    // One row more than the page tells whether there is a next one
+    const rows = await database.searchMedia(filters, { sort, order, after, limit: limit + 1 });
+    const page = rows.slice(0, limit);
+
+    res.json({
+      success: true,
+      data: {
+        results: page.map((row) => ({
+          album: row.album_name,
+          bucket: row.bucket,
+          name: row.object_key,
+          uploadedAt: fromSqlDateTime(row.created_at),
+          metadata: toMetadataEntry(row),
+        })),
+        count: page.length,
+        nextCursor: rows.length > limit ? encodeCursor(sort, order, page[page.length - 1]) : null,
+      },
+    });
+  } catch (error) {
+    if (!error.status) debugSearch(`[search.js] Search failed: ${error.message}`);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// Export factory function that accepts dependencies
+module.exports = () => {
+  const router = express.Router();
+
+  router.get("/search", searchMedia());
+  return router;
+};
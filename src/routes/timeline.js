@@ -0,0 +1,106 @@
+// routes/timeline.js - Photos of every album by date, for a library-wide "Photos" view
+const express = require("express");
+const database = require("../services/database-service");
+const { toMetadataEntry } = require("../utils/media-record");
+
+const debug = require("debug");
+const debugTimeline = debug("photovault:timeline");
+
+// GET /timeline - Number of photos per year, month and day, newest first
+const getTimeline = () => async (req, res) => {
+  try {
+    const counts = await database.getTimelineCounts();
+
+    const years = [];
+    for (const { year, month, day, count, undated } of counts) {
+      let yearEntry = years[years.length - 1];
+      if (yearEntry?.year !== year) {
+        yearEntry = { year, count: 0, months: [] };
+        years.push(yearEntry);
+      }
+      let monthEntry = yearEntry.months[yearEntry.months.length - 1];
+      if (monthEntry?.month !== month) {
+        monthEntry = { month, count: 0, days: [] };
+        yearEntry.months.push(monthEntry);
+      }
+      monthEntry.days.push({ day, count, undated });
+      monthEntry.count += count;
+      yearEntry.count += count;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        total: years.reduce((total, year) => total + year.count, 0),
+        undated: counts.reduce((total, day) => total + day.undated, 0),
+        years,
+      },
+    });
+  } catch (error) {
+    debugTimeline(`[timeline.js] Error building the timeline: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// GET /timeline/:year/:month - Photos of a month (or of one day with ?day=), newest first
+const getTimelineMonth = () => async (req, res) => {
+  try {
+    const year = Number(req.params.year);
+    const month = Number(req.params.month);
+    const day = req.query.day === undefined ? null : Number(req.query.day);
+    if (!/^\d{4}$/.test(req.params.year) || !Number.isInteger(month) || month < 1 || month > 12) {
+      return res.status(400).json({
+        success: false,
+        error: "Expected /timeline/:year/:month with a 4-digit year and a month from 1 to 12",
+      });
+    }
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (day !== null && (!Number.isInteger(day) || day < 1 || day > daysInMonth)) {
+      return res.status(400).json({
+        success: false,
+        error: `day must be from 1 to ${daysInMonth}`,
+      });
+    }
+
+    const start = new Date(Date.UTC(year, month - 1, day ?? 1));
+    const end = day === null ? new Date(Date.UTC(year, month, 1)) : new Date(Date.UTC(year, month - 1, day + 1));
+    const rows = await database.getTimelineMedia(start, end);
+
+    res.json({
+      success: true,
+      data: {
+        year,
+        month,
+        day,
+        count: rows.length,
+        photos: rows.map((row) => ({
+          album: row.album_name,
+          bucket: row.bucket,
+          name: row.object_key,
+          date: row.timeline_date,
+          // Photos without a capture time are shown at their upload date
+          dateSource: row.captured_at ? "captured" : "uploaded",
+          metadata: toMetadataEntry(row),
+        })),
+      },
+    });
+  } catch (error) {
+    debugTimeline(`[timeline.js] Error listing ${req.params.year}/${req.params.month}: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+// Export factory function that accepts dependencies
+module.exports = () => {
+  const router = express.Router();
+
+  router.get("/timeline", getTimeline());
+  router.get("/timeline/:year/:month", getTimelineMonth());
+  return router;
+};
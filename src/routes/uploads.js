@@ -0,0 +1,185 @@
+// routes/uploads.js - Resumable chunked uploads
+//
+// Protocol:
+//   POST   /uploads                    { filename, mimetype, size, album|folderPath, createAlbum } -> uploadId
+//   HEAD   /uploads/:uploadId          Upload-Offset header = bytes already received
+//   PATCH  /uploads/:uploadId          raw chunk body, Upload-Offset header = where it starts
+//   POST   /uploads/:uploadId/finalize { duplicates, duplicateScope } -> jobId of the background processing
+//   DELETE /uploads/:uploadId          abandons the upload
+const express = require("express");
+const { v4: uuidv4 } = require("uuid");
+const { authenticateToken, requireRole } = require("../middleware/authMW");
+const UploadService = require("../services/upload-service");
+
+const config = require("../config");
+
+const debug = require("debug");
+const debugUpload = debug("photovault:upload");
+
+// Answer with the status attached by ChunkedUploadService, or 500
+const sendError = (res, error) => {
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+  });
+};
+
+// POST /uploads - Start a resumable upload
+const createUpload = (chunkedUploadService, albumService) => async (req, res) => {
+  try {
+    const { filename, mimetype, size, album: albumName, folderPath = "", createAlbum = false } = req.body || {};
+
+    // Refuse a bad file or an unknown album before the client sends any bytes (and before
+    // creating the album for a file that would be refused anyway)
+    chunkedUploadService.validate({ filename, mimetype, size });
+    const album = await albumService.resolveUploadAlbum(albumName ?? folderPath, {
+      create: createAlbum === true || createAlbum === "true",
+    });
+    const upload = await chunkedUploadService.create({ filename, mimetype, size, folderPath: album.folderPath });
+
+    res.setHeader("Location", `/uploads/${upload.uploadId}`);
+    res.setHeader("Upload-Offset", upload.offset);
+    res.setHeader("Upload-Length", upload.size);
+    res.status(201).json({
+      success: true,
+      data: {
+        uploadId: upload.uploadId,
+        filename: upload.filename,
+        size: upload.size,
+        offset: upload.offset,
+        album: album.name,
+        folderPath: upload.folderPath,
+      },
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// HEAD /uploads/:uploadId - How many bytes the server already has
+const getUploadOffset = (chunkedUploadService) => async (req, res) => {
+  try {
+    const upload = await chunkedUploadService.getUpload(req.params.uploadId);
+    if (!upload) {
+      return res.status(404).end();
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+    res.setHeader("Upload-Offset", upload.offset);
+    res.setHeader("Upload-Length", upload.size);
+    res.status(200).end();
+  } catch (error) {
+    res.status(500).end();
+  }
+};
+
+// PATCH /uploads/:uploadId - Append a chunk at the given offset
+const uploadChunk = (chunkedUploadService) => async (req, res) => {
+  const { uploadId } = req.params;
+  const offset = parseInt(req.headers["upload-offset"], 10);
+
+  if (Number.isNaN(offset)) {
+    return res.status(400).json({
+      success: false,
+      error: "Upload-Offset header is required",
+    });
+  }
+
+  try {
+    const newOffset = await chunkedUploadService.appendChunk(uploadId, offset, req);
+
+    res.setHeader("Upload-Offset", newOffset);
+    res.json({
+      success: true,
+      data: {
+        uploadId,
+        offset: newOffset,
+      },
+    });
+  } catch (error) {
+    debugUpload(`[uploads.js] Chunk rejected for upload ${uploadId}: ${error.message}`);
+    // Stop reading the rest of a rejected body
+    res.setHeader("Connection", "close");
+    sendError(res, error);
+  }
+};
+
+// POST /uploads/:uploadId/finalize - Process the completed file in the background
+const finalizeUpload = (chunkedUploadService, albumService, processFilesInBackground) => async (req, res) => {
+  const startTime = Date.now();
+  const jobId = uuidv4();
+
+  try {
+    const { options, error: optionsError } = UploadService.parseUploadOptions(req.body || {});
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: optionsError,
+      });
+    }
+
+    // Uploads started before album validation existed may target an unregistered folder
+    const pending = await chunkedUploadService.getUpload(req.params.uploadId);
+    if (pending) {
+      await albumService.resolveUploadAlbum(pending.folderPath);
+    }
+
+    const { file, folderPath } = await chunkedUploadService.finalize(req.params.uploadId);
+
+    res.status(200).json({
+      success: true,
+      message: "Upload complete and is being processed",
+      data: {
+        bucket: config.minio.bucketName,
+        folderPath,
+        filesReceived: 1,
+        status: "processing",
+        jobId: jobId,
+        duplicates: options.duplicates,
+        duplicateScope: options.duplicateScope,
+        timestamp: new Date().toISOString(),
+      },
+    });
+    processFilesInBackground([file], config.minio.bucketName, folderPath, startTime, jobId, options);
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// DELETE /uploads/:uploadId - Abandon an upload
+const abortUpload = (chunkedUploadService) => async (req, res) => {
+  try {
+    const upload = await chunkedUploadService.getUpload(req.params.uploadId);
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        error: "Upload not found",
+      });
+    }
+
+    await chunkedUploadService.remove(upload.uploadId);
+    res.json({
+      success: true,
+      message: `Upload ${upload.uploadId} aborted`,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Export factory function that accepts dependencies
+module.exports = (chunkedUploadService, albumService, processFilesInBackground) => {
+  const router = express.Router();
+  const adminOnly = [authenticateToken, requireRole("admin")];
+
+  router.post("/uploads", ...adminOnly, createUpload(chunkedUploadService, albumService));
+  router.head("/uploads/:uploadId", ...adminOnly, getUploadOffset(chunkedUploadService));
+  router.patch("/uploads/:uploadId", ...adminOnly, uploadChunk(chunkedUploadService));
+  router.post(
+    "/uploads/:uploadId/finalize",
+    ...adminOnly,
+    finalizeUpload(chunkedUploadService, albumService, processFilesInBackground)
+  );
+  router.delete("/uploads/:uploadId", ...adminOnly, abortUpload(chunkedUploadService));
+  return router;
+};
@@ -0,0 +1,272 @@
+// routes/webhooks.js - Registration of outgoing webhooks and their delivery log (Admin only)
+const crypto = require("crypto");
+const express = require("express");
+const { v4: uuidv4 } = require("uuid");
+const { authenticateToken, requireRole } = require("../middleware/authMW");
+const database = require("../services/database-service");
+const WebhookService = require("../services/webhook-service");
+
+const debug = require("debug");
+const debugWebhook = debug("photovault:webhook");
+
+const DELIVERY_STATUSES = ["pending", "delivering", "delivered", "failed"];
+
+// Map a webhooks row to the API response shape; the secret is only shown on creation
+const formatWebhook = (webhook) => ({
+  id: webhook.id,
+  url: webhook.url,
+  events: webhook.events,
+  description: webhook.description,
+  active: Boolean(webhook.active),
+  createdAt: webhook.created_at,
+  updatedAt: webhook.updated_at,
+});
+
+// Map a webhook_deliveries row to the API response shape
+const formatDelivery = (delivery) => ({
+  id: delivery.id,
+  webhookId: delivery.webhook_id,
+  event: delivery.event,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  responseStatus: delivery.response_status,
+  error: delivery.error,
+  payload: delivery.payload,
+  nextAttemptAt: delivery.status === "pending" ? delivery.next_attempt_at : null,
+  createdAt: delivery.created_at,
+  deliveredAt: delivery.delivered_at,
+});
+
+// Check the fields of a create or update request; with partial, missing fields are left out
+const parseWebhookInput = (body = {}, { partial = false } = {}) => {
+  const values = {};
+
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(body.url);
+    } catch (error) {
+      return { error: "url must be an absolute http(s) URL" };
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      return { error: "url must be an absolute http(s) URL" };
+    }
+    values.url = url.toString();
+  }
+
+  if (body.events !== undefined) {
+    const unknown = Array.isArray(body.events)
+      ? body.events.filter((event) => !WebhookService.EVENTS.includes(event))
+      : null;
+    if (!unknown || body.events.length === 0 || unknown.length > 0) {
+      return { error: `events must be a non-empty list of: ${WebhookService.EVENTS.join(", ")}` };
+    }
+    values.events = [...new Set(body.events)];
+  } else if (!partial) {
+    values.events = WebhookService.EVENTS; // Everything by default
+  }
+
+  if (body.secret !== undefined) {
+    if (typeof body.secret !== "string" || body.secret.length < 16) {
+      return { error: "secret must be a string of at least 16 characters" };
+    }
+    values.secret = body.secret;
+  }
+
+  if (body.description !== undefined) {
+    values.description = body.description === null ? null : String(body.description).slice(0, 255);
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== "boolean") {
+      return { error: "active must be a boolean" };
+    }
+    values.active = body.active;
+  }
+
+  return { values };
+};
+
+const sendServerError = (res, action, error) => {
+  debugWebhook(`[webhooks.js] Error ${action}: ${error.message}`);
+  res.status(500).json({
+    success: false,
+    error: error.message,
+  });
+};
+
+const webhookNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Webhook not found",
+  });
+
+// GET /webhooks - List registered webhooks
+const listWebhooks = () => async (req, res) => {
+  try {
+    const webhooks = await database.getWebhooks();
+    res.json({
+      success: true,
+      events: WebhookService.EVENTS,
+      webhooks: webhooks.map(formatWebhook),
+    });
+  } catch (error) {
+    sendServerError(res, "listing webhooks", error);
+  }
+};
+
+// POST /webhooks - Register a webhook { url, events?, secret?, description? }
+const createWebhook = () => async (req, res) => {
+  try {
+    const { values, error } = parseWebhookInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    // Generated when not given; returned only in this response
+    const secret = values.secret || crypto.randomBytes(32).toString("hex");
+    const id = uuidv4();
+    await database.createWebhook({ ...values, id, secret });
+    debugWebhook(`[webhooks.js] Registered webhook ${id} for ${values.url}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...formatWebhook(await database.getWebhook(id)),
+        secret,
+      },
+    });
+  } catch (error) {
+    sendServerError(res, "registering webhook", error);
+  }
+};
+
+// GET /webhooks/:id - Get one webhook
+const getWebhook = () => async (req, res) => {
+  try {
+    const webhook = await database.getWebhook(req.params.id);
+    if (!webhook) return webhookNotFound(res);
+
+    res.json({ success: true, data: formatWebhook(webhook) });
+  } catch (error) {
+    sendServerError(res, `getting webhook ${req.params.id}`, error);
+  }
+};
+
+// PUT /webhooks/:id - Change the URL, events, secret, description or active flag
+const updateWebhook = () => async (req, res) => {
+  try {
+    const { values, error } = parseWebhookInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ success: false, error: "Nothing to update" });
+    }
+
+    if (!(await database.getWebhook(req.params.id))) return webhookNotFound(res);
+    await database.updateWebhook(req.params.id, values);
+
+    res.json({ success: true, data: formatWebhook(await database.getWebhook(req.params.id)) });
+  } catch (error) {
+    sendServerError(res, `updating webhook ${req.params.id}`, error);
+  }
+};
+
+// DELETE /webhooks/:id - Remove a webhook and its delivery log
+const deleteWebhook = () => async (req, res) => {
+  try {
+    if (!(await database.deleteWebhook(req.params.id))) return webhookNotFound(res);
+
+    res.json({ success: true, message: `Webhook ${req.params.id} deleted` });
+  } catch (error) {
+    sendServerError(res, `deleting webhook ${req.params.id}`, error);
+  }
+};
+
+// GET /webhooks/:id/deliveries?status=pending|delivering|delivered|failed - Delivery log, newest first
+const listDeliveries = () => async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${DELIVERY_STATUSES.join(", ")}`,
+      });
+    }
+
+    if (!(await database.getWebhook(req.params.id))) return webhookNotFound(res);
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const deliveries = await database.getWebhookDeliveries(req.params.id, { status: status || null, limit });
+
+    res.json({
+      success: true,
+      deliveries: deliveries.map(formatDelivery),
+    });
+  } catch (error) {
+    sendServerError(res, `listing deliveries of webhook ${req.params.id}`, error);
+  }
+};
+
+// POST /webhooks/:id/ping - Send a test event to the webhook
+const pingWebhook = (webhookService) => async (req, res) => {
+  try {
+    const webhook = await database.getWebhook(req.params.id);
+    if (!webhook) return webhookNotFound(res);
+
+    const deliveryId = await webhookService.ping(webhook);
+    res.status(202).json({
+      success: true,
+      message: "Ping queued",
+      data: { deliveryId },
+    });
+  } catch (error) {
+    sendServerError(res, `pinging webhook ${req.params.id}`, error);
+  }
+};
+
+// POST /webhooks/deliveries/:deliveryId/redeliver - Send a delivery again with the same body
+const redeliver = (webhookService) => async (req, res) => {
+  try {
+    const delivery = await database.getWebhookDelivery(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: "Delivery not found",
+      });
+    }
+
+    if (!(await database.redeliverWebhookDelivery(delivery.id))) {
+      return res.status(409).json({
+        success: false,
+        error: "Delivery is being sent right now",
+      });
+    }
+    webhookService.processQueue();
+
+    res.status(202).json({
+      success: true,
+      message: "Delivery queued",
+      data: { id: delivery.id },
+    });
+  } catch (error) {
+    sendServerError(res, `redelivering ${req.params.deliveryId}`, error);
+  }
+};
+
+// Export factory function that accepts dependencies
+module.exports = (webhookService) => {
+  const router = express.Router();
+  const adminOnly = [authenticateToken, requireRole("admin")];
+
+  router.get("/webhooks", ...adminOnly, listWebhooks());
+  router.post("/webhooks", ...adminOnly, createWebhook());
+  router.post("/webhooks/deliveries/:deliveryId/redeliver", ...adminOnly, redeliver(webhookService));
+  router.get("/webhooks/:id", ...adminOnly, getWebhook());
+  router.put("/webhooks/:id", ...adminOnly, updateWebhook());
+  router.delete("/webhooks/:id", ...adminOnly, deleteWebhook());
+  router.get("/webhooks/:id/deliveries", ...adminOnly, listDeliveries());
+  router.post("/webhooks/:id/ping", ...adminOnly, pingWebhook(webhookService));
+  return router;
+};
@@ -0,0 +1,100 @@
+// scripts/backfill-media.js - Import the album JSON files into the media table
+//
+// Usage: node src/scripts/backfill-media.js [--dry-run] [--album <name>]
+//
+// Reads <album>/<album>.json of every registered album (or only --album) and writes one media
+// row per entry, with the size and type of the stored object. Entries whose object no longer
+// exists are skipped. Safe to run again: rows are matched on bucket and object key.
+const Minio = require("minio");
+const config = require("../config"); // defaults to ./config/index.js
+const database = require("../services/database-service");
+const MetadataService = require("../services/metadata-service");
+const { toMediaRecord } = require("../utils/media-record");
+
+function parseArgs(argv) {
+  const args = { dryRun: false, album: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") args.dryRun = true;
+    else if (argv[i] === "--album") args.album = argv[++i];
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+async function backfillAlbum(minioClient, metadataService, album, { dryRun }) {
+  const bucket = config.minio.bucketName;
+  const folderName = album.path.replace(/\/+$/, "");
+  const counts = { imported: 0, missing: 0, failed: 0 };
+
+  const folderData = await metadataService.getFolderMetadata(bucket, folderName);
+  for (const entry of folderData?.media || []) {
+    if (!entry.sourceImage) continue;
+
+    try {
+      const stat = await minioClient.statObject(bucket, entry.sourceImage);
+      const record = toMediaRecord(entry, {
+        bucket,
+        objectKey: entry.sourceImage,
+        albumId: album.id,
+        mimetype: stat.metaData["content-type"] || null,
+        size: stat.size,
+      });
+      if (!dryRun) await database.upsertMedia(record);
+      counts.imported++;
+    } catch (error) {
+      if (error.code === "NotFound" || error.code === "NoSuchKey") {
+        counts.missing++;
+        continue;
+      }
+      counts.failed++;
+      console.error(`  ${entry.sourceImage}: ${error.message}`);
+    }
+  }
+
+  return counts;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  await database.initialize();
+  const minioClient = new Minio.Client({
+    endPoint: config.minio.endpoint,
+    port: parseInt(config.minio.port),
+    useSSL: config.minio.useSSL,
+    accessKey: config.minio.accessKey,
+    secretKey: config.minio.secretKey,
+  });
+  const metadataService = new MetadataService(minioClient);
+
+  let albums = await database.getAllAlbums();
+  if (args.album) {
+    albums = albums.filter((album) => album.name === args.album);
+    if (albums.length === 0) throw new Error(`Album "${args.album}" not found`);
+  }
+
+  const totals = { imported: 0, missing: 0, failed: 0 };
+  for (const { path } of albums) {
+    // getAllAlbums does not return the ID
+    const album = await database.getAlbumByPath(path);
+    const counts = await backfillAlbum(minioClient, metadataService, album, args);
+    console.log(`${album.name}: ${counts.imported} imported, ${counts.missing} missing in storage, ${counts.failed} failed`);
+    for (const key of Object.keys(totals)) totals[key] += counts[key];
+  }
+
+  console.log(
+    `${args.dryRun ? "[dry run] " : ""}${albums.length} album(s): ${totals.imported} imported, ` +
+      `${totals.missing} missing in storage, ${totals.failed} failed`
+  );
+  return totals.failed === 0;
+}
+
+main()
+  .then((ok) => {
+    process.exitCode = ok ? 0 : 1;
+  })
+  .catch((error) => {
+    console.error(`Backfill failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => database.close());
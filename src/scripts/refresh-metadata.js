@@ -0,0 +1,70 @@
+// scripts/refresh-metadata.js - Re-extract the metadata of photos already in the library
+//
+// Usage: node src/scripts/refresh-metadata.js [--dry-run] [--album <name>] [--geocode-only]
+//
+// Reads EXIF again from the archived original (or the stored object) of every photo and video
+// of the media table, looks up addresses that are missing or failed, and writes what changed to
+// the media table and the album JSON export. --dry-run only prints the changes;
+// --geocode-only skips the EXIF and only retries addresses.
+const Minio = require("minio");
+const config = require("../config"); // defaults to ./config/index.js
+const database = require("../services/database-service");
+const MetadataRefreshService = require("../services/metadata-refresh-service");
+
+function parseArgs(argv) {
+  const args = { dryRun: false, album: null, geocodeOnly: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") args.dryRun = true;
+    else if (argv[i] === "--geocode-only") args.geocodeOnly = true;
+    else if (argv[i] === "--album") args.album = argv[++i];
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+const formatValue = (value) => (value === null || typeof value !== "object" ? String(value) : JSON.stringify(value));
+
+// Print one line per album and per changed or failed file
+function printProgress(eventType, data) {
+  if (eventType === "album-started") {
+    console.log(`${data.album}: ${data.total} file(s)`);
+  } else if (eventType === "file-refreshed" && data.changed) {
+    console.log(`  ${data.objectKey}`);
+    for (const [field, { from, to }] of Object.entries(data.changes)) {
+      console.log(`    ${field}: ${formatValue(from)} -> ${formatValue(to)}`);
+    }
+  } else if (eventType === "file-failed") {
+    console.error(`  ${data.objectKey}: ${data.error}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  await database.initialize();
+  const minioClient = new Minio.Client({
+    endPoint: config.minio.endpoint,
+    port: parseInt(config.minio.port),
+    useSSL: config.minio.useSSL,
+    accessKey: config.minio.accessKey,
+    secretKey: config.minio.secretKey,
+  });
+  const refreshService = new MetadataRefreshService(minioClient);
+
+  const totals = await refreshService.refresh({ ...args, onProgress: printProgress });
+  console.log(
+    `${args.dryRun ? "[dry run] " : ""}${totals.albums} album(s), ${totals.total} file(s): ` +
+      `${totals.changed} ${args.dryRun ? "would change" : "changed"}, ${totals.unchanged} unchanged, ${totals.failed} failed`
+  );
+  return totals.failed === 0;
+}
+
+main()
+  .then((ok) => {
+    process.exitCode = ok ? 0 : 1;
+  })
+  .catch((error) => {
+    console.error(`Refresh failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => database.close());
@@ -9,6 +9,8 @@ const debugSSE = debug("photovault:server:sse");
 const debugDB = debug("photovault:server:database");
 const debugUpload = debug("photovault:server:upload");
 
+const fs = require("fs");
+const path = require("path");
 const express = require("express");
 const cors = require("cors");
 const app = express();
@@ -35,8 +37,19 @@ try {
   //debugServer(`[server.js LINE 39]: MinIO client initialization error: ${err.message}`);
   minioClient = null;
 }
+const { runWithConcurrency } = require("./utils/concurrency");
 const UploadService = require("./services/upload-service");
 const uploadService = new UploadService(minioClient);
+const ChunkedUploadService = require("./services/chunked-upload-service");
+const chunkedUploadService = new ChunkedUploadService(config.upload.tempDir);
+const ConversionQueueService = require("./services/conversion-queue-service");
+const conversionQueue = new ConversionQueueService(minioClient, uploadService);
+const WebhookService = require("./services/webhook-service");
+const webhookService = new WebhookService(config.webhooks);
+const AlbumService = require("./services/album-service");
+const albumService = new AlbumService(minioClient, webhookService);
+const MetadataRefreshService = require("./services/metadata-refresh-service");
+const metadataRefreshService = new MetadataRefreshService(minioClient, webhookService);
 
 // Import authentication components
 const database = require("./services/database-service");
@@ -45,77 +58,257 @@ const userRoutes = require("./routes/user");
 const healthRoutes = require("./routes/health");
 const albumRoutes = require("./routes/albums");
 const statRoutes = require("./routes/stats");
-
-// Store active SSE connections by job ID
-const sseConnections = new Map();
+const jobRoutes = require("./routes/jobs");
+const uploadRoutes = require("./routes/uploads");
+const conversionRoutes = require("./routes/conversions");
+const webhookRoutes = require("./routes/webhooks");
+const metadataRoutes = require("./routes/metadata");
+const searchRoutes = require("./routes/search");
+const timelineRoutes = require("./routes/timeline");
+
+// SSE event logs and connections by job ID
+const JobEventsService = require("./services/job-events-service");
+const jobEvents = new JobEventsService(config.sse);
+
+// Upload jobs currently being processed by this instance (jobId -> { controller, rollback })
+const activeJobs = new Map();
+
+// Persist job progress without letting a database outage break the upload itself
+const recordJob = async (action, fn) => {
+  try {
+    await fn();
+  } catch (error) {
+    debugDB(`[server.js] Failed to ${action}: ${error.message}`);
+  }
+};
 
 const sendSSEEvent = (jobId, eventType, data = {}) => {
-  const connection = sseConnections.get(jobId);
-  if (!connection) {
-    //debugSSE(`[server.js (58)] No connection found for job ${jobId}`);
-    return;
-  }
+  jobEvents.publish(jobId, eventType, data);
+};
 
-  const eventData = {
-    type: eventType,
-    timestamp: new Date().toISOString(),
-    ...data,
-  };
+// Stop a running job: remaining files are skipped and in-flight conversions aborted.
+// Returns false when the job is not being processed by this instance.
+const cancelUploadJob = (jobId, { rollback = false } = {}) => {
+  const job = activeJobs.get(jobId);
+  if (!job) return false;
 
-  const message = `data: ${JSON.stringify(eventData)}\n\n`;
+  job.rollback = job.rollback || rollback;
+  job.controller.abort();
+  debugUpload(`[server.js] Cancellation requested for job ${jobId} (rollback: ${job.rollback})`);
+  return true;
+};
 
+// Delete the on-disk copy of an uploaded file once it has been processed
+const removeTempFile = async (file) => {
+  if (!file.path) return;
   try {
-    connection.write(message);
-    //debugSSE(`[server.js (72)] Event "${eventType}" sent to job ${jobId}`);
-
-    if (eventType === "complete") {
-      // Send final message
-      connection.write(`data: ${JSON.stringify(eventData)}\n\n`);
-
-      // End the stream
-      connection.end();
-      sseConnections.delete(jobId);
-    }
+    await fs.promises.rm(file.path, { force: true });
   } catch (error) {
-    //debugSSE(`[server.js (83)] Error sending to job ${jobId}: ${error.message}`);
-    sseConnections.delete(jobId);
+    debugUpload(`[server.js] Failed to remove temp file ${file.path}: ${error.message}`);
   }
 };
 
+// Files left in the incoming dir belong to jobs that died with the previous process
+async function clearIncomingFiles() {
+  const incomingDir = config.upload.incomingDir;
+  const entries = await fs.promises.readdir(incomingDir).catch(() => []);
+  await Promise.all(
+    entries.map((entry) => fs.promises.rm(path.join(incomingDir, entry), { recursive: true, force: true }))
+  );
+}
+
+// Tell webhooks what a finished (or cancelled) job stored; deferred files are listed by conversion ID
+const notifyUploadCompleted = (jobId, { bucketName, folderPath, status, results, processingTime }) => {
+  webhookService.emit("upload.completed", {
+    jobId,
+    bucket: bucketName,
+    folderPath,
+    status,
+    uploaded: results
+      .filter((result) => !result.deferred)
+      .map(({ originalName, objectName, mimetype, size }) => ({ originalName, objectName, mimetype, size })),
+    deferred: results
+      .filter((result) => result.deferred)
+      .map(({ originalName, pendingId }) => ({ originalName, conversionId: pendingId })),
+    processingTime,
+  });
+};
+
 // Background processing function for asynchronous uploads with SSE updates
 async function processFilesInBackground(
   files,
   bucketName,
   folderPath,
   startTime,
-  jobId
+  jobId,
+  options = {}
 ) {
+  const { duplicates = "skip", duplicateScope = "album" } = options;
+  // Files refused by the upload route before they were received
+  const rejectedFiles = [...(options.rejectedFiles || [])];
+  const job = { controller: new AbortController(), rollback: false };
+  const { signal } = job.controller;
+  activeJobs.set(jobId, job);
+  await recordJob(`create job ${jobId}`, () =>
+    database.createUploadJob({ id: jobId, bucket: bucketName, folderPath, files, rejectedFiles })
+  );
+
   try {
     const uploadResults = [];
+    const uploadedItems = []; // { index, result } kept for rollback on cancel
+    const skippedFiles = [];
+    const deferredFiles = []; // waiting for the converter to come back
     const errors = [];
 
-    for (let i = 0; i < files.length; i++) {
-      const file = files[i];
+    // Running counts sent with every per-file event so the UI can draw progress
+    // (files refused by the upload route are already completed and rejected)
+    const refused = rejectedFiles.length;
+    const counts = { total: files.length + refused, started: 0, completed: refused, uploaded: 0, skipped: 0, deferred: 0, rejected: refused, failed: 0, cancelled: 0 };
+
+    // Content hashes already stored in the album (or library) for duplicate detection
+    const hashIndex = await uploadService.loadContentHashes(bucketName, folderPath, duplicateScope);
+    const archiveOriginal = await uploadService.isArchivingEnabled(folderPath);
+
+    await runWithConcurrency(files, config.upload.concurrency, async (file, i) => {
+      const fileInfo = { filename: file.originalname, index: i };
+
+      if (signal.aborted) {
+        counts.cancelled++;
+        await removeTempFile(file);
+        await recordJob(`update job ${jobId}`, () =>
+          database.updateUploadJobItem(jobId, i, { status: "cancelled" })
+        );
+        return;
+      }
 
       try {
         debugUpload(`[(101)] Processing file ${i + 1} of ${files.length}: ${file.originalname} >> ${file.mimetype}`);
+        counts.started++;
+        sendSSEEvent(jobId, "file-started", { ...fileInfo, counts: { ...counts } });
+        await recordJob(`update job ${jobId}`, () =>
+          database.updateUploadJobItem(jobId, i, { status: "processing" })
+        );
 
         // Process the individual file
         const result = await uploadService.processAndUploadFile(
           file,
           bucketName,
-          folderPath
+          folderPath,
+          {
+            signal,
+            jobId,
+            archiveOriginal,
+            duplicates: { mode: duplicates, index: hashIndex },
+            onConverted: () =>
+              sendSSEEvent(jobId, "file-converted", { ...fileInfo, counts: { ...counts } }),
+          }
         );
+
+        if (result && result.skipped) {
+          const duplicateOf = result.duplicateOf || "an earlier file in this upload";
+          skippedFiles.push({ filename: file.originalname, reason: result.reason, duplicateOf: result.duplicateOf });
+          counts.completed++;
+          counts.skipped++;
+          sendSSEEvent(jobId, "file-skipped", {
+            ...fileInfo,
+            reason: result.reason,
+            duplicateOf: result.duplicateOf,
+            counts: { ...counts },
+          });
+          await recordJob(`update job ${jobId}`, () =>
+            database.updateUploadJobItem(jobId, i, { status: "skipped", error: `Duplicate of ${duplicateOf}` })
+          );
+          return;
+        }
+
+        if (result && result.rejected) {
+          rejectedFiles.push({ filename: file.originalname, reason: result.reason });
+          counts.completed++;
+          counts.rejected++;
+          sendSSEEvent(jobId, "file-rejected", { ...fileInfo, reason: result.reason, counts: { ...counts } });
+          await recordJob(`update job ${jobId}`, () =>
+            database.updateUploadJobItem(jobId, i, { status: "rejected", error: result.reason })
+          );
+          return;
+        }
+
+        if (result && result.deferred) {
+          deferredFiles.push({ filename: file.originalname, conversionId: result.pendingId });
+          uploadedItems.push({ index: i, result });
+          counts.completed++;
+          counts.deferred++;
+          sendSSEEvent(jobId, "file-deferred", {
+            ...fileInfo,
+            conversionId: result.pendingId,
+            reason: result.reason,
+            counts: { ...counts },
+          });
+          await recordJob(`update job ${jobId}`, () =>
+            database.updateUploadJobItem(jobId, i, {
+              status: "deferred",
+              objectName: result.pendingObject,
+              error: `Converter unavailable, conversion ${result.pendingId} queued`,
+            })
+          );
+          return;
+        }
+
+        if (!result) {
+          // Allowed type this pipeline cannot process, nothing was stored
+          skippedFiles.push({ filename: file.originalname, reason: "unsupported" });
+          counts.completed++;
+          counts.skipped++;
+          sendSSEEvent(jobId, "file-skipped", { ...fileInfo, reason: "unsupported", counts: { ...counts } });
+          await recordJob(`update job ${jobId}`, () =>
+            database.updateUploadJobItem(jobId, i, { status: "skipped", error: "Unsupported file type" })
+          );
+          return;
+        }
+
         uploadResults.push(result);
+        uploadedItems.push({ index: i, result });
+        counts.completed++;
+        counts.uploaded++;
+        sendSSEEvent(jobId, "file-uploaded", {
+          ...fileInfo,
+          objectName: result.objectName,
+          counts: { ...counts },
+        });
+
+        await recordJob(`update job ${jobId}`, () =>
+          database.updateUploadJobItem(jobId, i, { status: "uploaded", objectName: result.objectName })
+        );
 
         debugUpload(`[server.js (114)] Successfully uploaded: ${file.originalname} to ${folderPath}`);
       } catch (error) {
+        if (signal.aborted) {
+          // Aborted mid-conversion by a cancel request, not a processing error
+          counts.cancelled++;
+          await recordJob(`update job ${jobId}`, () =>
+            database.updateUploadJobItem(jobId, i, { status: "cancelled" })
+          );
+          return;
+        }
+
         debugUpload(`[server.js (116)] Error processing file ${file.originalname}: ${error.message}`);
         errors.push({
           filename: file.originalname,
           error: error.message,
         });
+        counts.completed++;
+        counts.failed++;
+        sendSSEEvent(jobId, "file-failed", { ...fileInfo, error: error.message, counts: { ...counts } });
+        await recordJob(`update job ${jobId}`, () =>
+          database.updateUploadJobItem(jobId, i, { status: "failed", error: error.message })
+        );
+      } finally {
+        await removeTempFile(file);
       }
+    });
+
+    if (signal.aborted) {
+      await finishCancelledJob(jobId, job, { bucketName, folderPath, startTime, uploadedItems, errors, counts });
+      return;
     }
 
     const processingTime = Date.now() - startTime;
@@ -124,102 +317,206 @@ async function processFilesInBackground(
 
     await database.incrementFileCounter(uploadResults.length, folderPath);
 
+    const stored = uploadResults.length + deferredFiles.length;
+    const problems = errors.length + rejectedFiles.length;
+    const jobStatus =
+      problems === 0 ? "success" : stored === 0 ? "failed" : "partial";
+    await recordJob(`complete job ${jobId}`, () =>
+      database.completeUploadJob(jobId, {
+        status: jobStatus,
+        uploaded: uploadResults.length,
+        failed: errors.length,
+        rejected: rejectedFiles.length,
+        processingTime,
+      })
+    );
+    notifyUploadCompleted(jobId, {
+      bucketName,
+      folderPath,
+      status: jobStatus,
+      results: uploadedItems.map(({ result }) => result),
+      processingTime,
+    });
+
     // Send single completion message
-    if (errors.length === 0) {
+    if (problems === 0) {
       // update the file counter on the albums table using database-service
       sendSSEEvent(jobId, "complete", {
         status: "success",
         message: `All ${files.length} files processed successfully!`,
         results: {
           uploaded: uploadResults.length,
+          skipped: skippedFiles.length,
+          deferred: deferredFiles.length,
+          rejected: 0,
           failed: 0,
           processingTime: processingTime,
         },
+        skippedFiles,
+        deferredFiles,
       });
-    } else if (uploadResults.length === 0) {
+    } else if (stored === 0) {
       sendSSEEvent(jobId, "complete", {
         status: "failed",
         message: `All files failed to process. Please check the files and try again.`,
         results: {
           uploaded: 0,
+          skipped: skippedFiles.length,
+          deferred: deferredFiles.length,
+          rejected: rejectedFiles.length,
           failed: errors.length,
           processingTime: processingTime,
         },
+        skippedFiles,
+        deferredFiles,
+        rejectedFiles,
         errors: errors,});
     } else {
       sendSSEEvent(jobId, "complete", {
         status: "partial",
-        message: `${uploadResults.length} files processed successfully, ${errors.length} failed.`,
+        message: `${stored} files processed successfully, ${errors.length} failed, ${rejectedFiles.length} rejected.`,
         results: {
           uploaded: uploadResults.length,
+          skipped: skippedFiles.length,
+          deferred: deferredFiles.length,
+          rejected: rejectedFiles.length,
           failed: errors.length,
           processingTime: processingTime,
         },
+        skippedFiles,
+        deferredFiles,
+        rejectedFiles,
         errors: errors,
       });
     }
-
-    // Clean up SSE connections after 30 seconds
-    setTimeout(() => {
-      //debugSSE(`[server.js (164)] Cleaning up SSE connections for job ${jobId}`);
-      sseConnections.delete(jobId);
-    }, 300000);
   } catch (error) {
     const errorTime = Date.now() - startTime;
     //debugUpload(`[server.js (169)] Background processing error after ${errorTime}ms:`,{error: error.message, stack: error.stack});
 
+    await recordJob(`complete job ${jobId}`, () =>
+      database.completeUploadJob(jobId, {
+        status: "failed",
+        rejected: rejectedFiles.length,
+        processingTime: errorTime,
+        error: error.message,
+      })
+    );
+
     // Send error completion message
     sendSSEEvent(jobId, "complete", {
       status: "failed",
       message: `Processing failed: ${error.message}`,
       error: error.message,
     });
-
-    // Clean up connections
-    setTimeout(() => {
-      sseConnections.delete(jobId);
-    }, 30000);
+  } finally {
+    // Temp files of files never reached (e.g. the job failed early) are removed here
+    await Promise.all(files.map(removeTempFile));
+    activeJobs.delete(jobId);
   }
 }
 
-// SSE endpoint - for monitoring upload progress
-app.get("/processing-status/:jobId", (req, res) => {
-  const jobId = req.params.jobId;
-  //debugSSE(`[server.js (206)] Client connecting for job ${jobId}`);
-
-  // Set SSE headers
-  res.writeHead(200, {
-    "Content-Type": "text/event-stream",
-    "Cache-Control": "no-cache",
-    Connection: "keep-alive",
-    "Access-Control-Allow-Origin": "*",
-    "Transfer-Encoding": "chunked",
-    "Access-Control-Allow-Headers": "Cache-Control",
-  });
+// Wrap up a cancelled job: optionally remove what it already uploaded, then report a summary
+async function finishCancelledJob(jobId, job, { bucketName, folderPath, startTime, uploadedItems, errors, counts }) {
+  let rolledBack = 0;
+  const rollbackErrors = [];
+  let keptItems = uploadedItems;
 
-  // Store connection
-  sseConnections.set(jobId, res);
-  //debugSSE(`[server.js (220)] Connection stored for job ${jobId}. Total connections: ${sseConnections.size}`);
+  if (job.rollback) {
+    keptItems = [];
+    for (const item of uploadedItems) {
+      const { index, result } = item;
+      try {
+        await uploadService.removeUploadedFile(bucketName, result);
+        rolledBack++;
+        await recordJob(`update job ${jobId}`, () =>
+          database.updateUploadJobItem(jobId, index, {
+            status: "rolled-back",
+            objectName: result.deferred ? result.pendingObject : result.objectName,
+          })
+        );
+      } catch (error) {
+        keptItems.push(item);
+        rollbackErrors.push({ filename: result.originalName, error: error.message });
+      }
+    }
+  }
 
-  // Send initial connection confirmation
-  const confirmationData = JSON.stringify({
-    type: "connected",
-    jobId,
-    message: "SSE connection established",
+  // Deferred files count towards the album once their conversion is done
+  const uploaded = keptItems.filter(({ result }) => !result.deferred).length;
+  const processingTime = Date.now() - startTime;
+  debugUpload(`[server.js] Job ${jobId} cancelled after ${processingTime}ms - Kept: ${uploaded}, Rolled back: ${rolledBack}, Skipped: ${counts.cancelled}`);
+
+  await recordJob(`update album counter for job ${jobId}`, () =>
+    database.incrementFileCounter(uploaded, folderPath)
+  );
+  await recordJob(`complete job ${jobId}`, () =>
+    database.completeUploadJob(jobId, {
+      status: "cancelled",
+      uploaded,
+      failed: errors.length,
+      rejected: counts.rejected,
+      processingTime,
+      error: "Cancelled by user",
+    })
+  );
+  if (keptItems.length > 0) {
+    notifyUploadCompleted(jobId, {
+      bucketName,
+      folderPath,
+      status: "cancelled",
+      results: keptItems.map(({ result }) => result),
+      processingTime,
+    });
+  }
+
+  sendSSEEvent(jobId, "cancelled", {
+    status: "cancelled",
+    message: job.rollback
+      ? `Job cancelled, ${rolledBack} uploaded files removed.`
+      : `Job cancelled, ${uploaded} files were already uploaded and kept.`,
+    results: {
+      uploaded,
+      failed: errors.length,
+      skipped: counts.skipped,
+      deferred: keptItems.length - uploaded,
+      cancelled: counts.cancelled,
+      rolledBack,
+      processingTime,
+    },
+    errors: [...errors, ...rollbackErrors],
   });
+}
 
-  res.write(`data: ${confirmationData}\n\n`);
-  //debugSSE(`[server.js (230)] Sent ${confirmationData} for job ${jobId}`);
+// Keep the heartbeat of running jobs fresh so other instances don't treat them as interrupted
+setInterval(() => {
+  if (activeJobs.size === 0) return;
+  recordJob("refresh job heartbeats", () => database.touchUploadJobs([...activeJobs.keys()]));
+}, config.jobs.heartbeatInterval).unref();
 
-  // Handle client disconnect
-  req.on("close", () => {
-    //debugSSE(`[server.js (234)] Client disconnected for job ${jobId}`);
-    sseConnections.delete(jobId);
-  });
+// Drop chunked uploads that clients never finished
+setInterval(async () => {
+  try {
+    const removed = await chunkedUploadService.removeExpired();
+    if (removed > 0) {
+      debugUpload(`[server.js] Removed ${removed} expired chunked upload(s)`);
+    }
+  } catch (error) {
+    debugUpload(`[server.js] Failed to remove expired chunked uploads: ${error.message}`);
+  }
+}, 60 * 60 * 1000).unref();
 
-  req.on("error", (error) => {
-    sseConnections.delete(jobId);
-  });
+// Mark jobs left in "processing" by a restarted or crashed instance as failed
+async function failInterruptedJobs() {
+  const jobIds = await database.failInterruptedUploadJobs(config.jobs.staleAfter);
+  if (jobIds.length > 0) {
+    debugUpload(`[server.js] Marked ${jobIds.length} interrupted upload job(s) as failed: ${jobIds.join(", ")}`);
+  }
+}
+
+// SSE endpoint - for monitoring upload progress
+// Replays the job's past events (after Last-Event-ID when reconnecting) before streaming new ones
+app.get("/processing-status/:jobId", (req, res) => {
+  jobEvents.subscribe(req.params.jobId, req, res);
 });
 
 // Start server with database initialization
@@ -227,6 +524,22 @@ async function startServer() {
   try {
     // Initialize database connection
     let connectionPool = await initializeDatabase();
+    await clearIncomingFiles();
+
+    // Convert photos that were parked while the converter was down
+    await conversionQueue.start();
+    await webhookService.start();
+
+    // Read an offline geocoding dataset now rather than while the first photo waits for it
+    const geocoder = uploadService.metadataService.geocoder.provider;
+    geocoder.load?.().catch((error) => debugServer(`[server.js] ${error.message}`));
+
+    // Jobs interrupted by a restart can only be detected once their heartbeat is stale,
+    // so check again periodically after startup
+    await recordJob("recover interrupted jobs", failInterruptedJobs);
+    setInterval(() => {
+      recordJob("recover interrupted jobs", failInterruptedJobs);
+    }, config.jobs.staleAfter).unref();
 
     //debugServer(`[server.js] Database initialized successfully`);
     // Start HTTP server
@@ -255,8 +568,15 @@ process.on("SIGINT", async () => {
 app.use("/auth", authRoutes);
 app.use("/user", userRoutes);
 app.use("/", healthRoutes(minioClient));
-app.use("/", albumRoutes(minioClient, processFilesInBackground)); // Pass processFilesInBackground
+app.use("/", albumRoutes(minioClient, processFilesInBackground, albumService, webhookService, uploadService)); // Pass processFilesInBackground
 app.use("/", statRoutes(minioClient));
+app.use("/", jobRoutes(cancelUploadJob));
+app.use("/", uploadRoutes(chunkedUploadService, albumService, processFilesInBackground));
+app.use("/", conversionRoutes(conversionQueue));
+app.use("/", webhookRoutes(webhookService));
+app.use("/", metadataRoutes(metadataRefreshService, sendSSEEvent));
+app.use("/", searchRoutes());
+app.use("/", timelineRoutes());
 
 async function initializeDatabase() {
   try {
@@ -0,0 +1,164 @@
+const debug = require("debug");
+const debugMetadata = debug("photovault:metadata");
+const config = require("../config"); // defaults to ./config/index.js
+
+// Tail of the pending updates per album document, shared by every store of this process
+const updateQueues = new Map();
+
+// S3 answers for a write whose If-Match / If-None-Match condition did not hold
+const CONFLICT_CODES = ["PreconditionFailed", "ConditionalRequestConflict"];
+
+// Build an error carrying a code the callers can test
+function storeError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Album Metadata Store - the only writer of the album JSON documents (<album>/<album>.json)
+ *
+ * Updates are read-modify-write: within this process they are queued per album and applied one
+ * at a time; across replicas every write is conditional on the ETag that was read (If-Match, or
+ * If-None-Match: * for a new document). A write that lost the race is retried on a fresh read,
+ * so an entry added by another instance is never overwritten.
+ */
+class AlbumMetadataStore {
+  /**
+   * @param {Object} minioClient - MinIO client
+   * @param {Object} options - { maxRetries, retryBaseDelay } (defaults to config.media.albumJson)
+   */
+  constructor(minioClient, options = config.media.albumJson) {
+    this.minioClient = minioClient;
+    this.options = options;
+  }
+
+  /**
+   * Object name of an album's metadata document
+   * @param {string} folderPath - Album folder ("trip" or "2024/trip")
+   * @returns {string} e.g. trip/trip.json
+   */
+  static documentName(folderPath) {
+    const folder = folderPath.replace(/^\/+|\/+$/g, "");
+    return `${folder}/${folder}.json`;
+  }
+
+  /**
+   * Read an album's metadata document
+   * @param {string} bucketName - MinIO bucket name
+   * @param {string} folderPath - Album folder
+   * @returns {Object|null} { document, etag }, or null if the album has none yet
+   */
+  async read(bucketName, folderPath) {
+    const documentName = AlbumMetadataStore.documentName(folderPath);
+
+    let stream;
+    try {
+      stream = await this.minioClient.getObject(bucketName, documentName);
+    } catch (error) {
+      if (error.code === "NoSuchKey" || error.code === "NotFound") return null;
+      throw error;
+    }
+
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    try {
+      return { document: JSON.parse(Buffer.concat(chunks).toString()), etag: stream.headers?.etag || null };
+    } catch (error) {
+      // Never rewrite a document we could not read, that would drop every entry in it
+      throw storeError(`${documentName} is not valid JSON: ${error.message}`, "METADATA_CORRUPT");
+    }
+  }
+
+  // Write conditionally on the version that was read (null: there was none); false when another
+  // writer got there first
+  async _write(bucketName, folderPath, document, current) {
+    const content = Buffer.from(JSON.stringify(document, null, 2));
+    // Without an ETag from the server the write can only be serialized within this process
+    const condition = !current ? { "If-None-Match": "*" } : current.etag ? { "If-Match": current.etag } : {};
+
+    try {
+      await this.minioClient.putObject(bucketName, AlbumMetadataStore.documentName(folderPath), content, content.length, {
+        "Content-Type": "application/json",
+        "X-Amz-Meta-Type": "album-metadata",
+        ...condition,
+      });
+      return true;
+    } catch (error) {
+      if (CONFLICT_CODES.includes(error.code)) return false;
+      throw error;
+    }
+  }
+
+  // Run an update after the ones already queued for the same album
+  async _enqueue(key, task) {
+    const previous = updateQueues.get(key) || Promise.resolve();
+    const current = previous.then(task, task);
+    updateQueues.set(key, current);
+
+    try {
+      return await current;
+    } finally {
+      if (updateQueues.get(key) === current) {
+        updateQueues.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Create an album's metadata document; fails if it already exists
+   * @param {string} bucketName - MinIO bucket name
+   * @param {string} folderPath - Album folder
+   * @param {Object} document - Initial document
+   */
+  async create(bucketName, folderPath, document) {
+    const folder = folderPath.replace(/^\/+|\/+$/g, "");
+
+    return this._enqueue(`${bucketName}/${folder}`, async () => {
+      if (!(await this._write(bucketName, folder, document, null))) {
+        throw storeError(`Metadata of ${folder} already exists`, "METADATA_EXISTS");
+      }
+    });
+  }
+
+  /**
+   * Apply a change to an album's metadata document.
+   * mutate(document) edits the document in place and may return a value; it can run more than
+   * once (after a conflict) and must only depend on the document it is given. Nothing is
+   * written when it leaves the document unchanged.
+   * @param {string} bucketName - MinIO bucket name
+   * @param {string} folderPath - Album folder
+   * @param {Function} mutate - (document) => result, may be async
+   * @returns {*} What mutate returned on the attempt that was written
+   */
+  async update(bucketName, folderPath, mutate) {
+    const folder = folderPath.replace(/^\/+|\/+$/g, "");
+
+    return this._enqueue(`${bucketName}/${folder}`, async () => {
+      for (let attempt = 0; ; attempt++) {
+        const current = await this.read(bucketName, folder);
+        const document = current?.document || { folderName: folder, media: [] };
+        if (!Array.isArray(document.media)) document.media = [];
+
+        const before = JSON.stringify(document);
+        const result = await mutate(document);
+        if (JSON.stringify(document) === before) return result;
+
+        document.lastUpdated = new Date().toISOString();
+        if (await this._write(bucketName, folder, document, current)) return result;
+
+        if (attempt >= this.options.maxRetries) {
+          throw storeError(`Metadata of ${folder} kept changing, gave up after ${attempt + 1} attempts`, "METADATA_CONFLICT");
+        }
+        // Another replica wrote in between: back off with jitter, then apply the change to its version
+        const delay = Math.round(Math.random() * this.options.retryBaseDelay * 2 ** attempt);
+        debugMetadata(`[album-metadata-store.js] Conflict on ${folder}, retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    });
+  }
+}
+
+module.exports = AlbumMetadataStore;
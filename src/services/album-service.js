@@ -0,0 +1,142 @@
+const debug = require("debug");
+// Debug namespaces
+const debugAlbum = debug("photovault:album");
+const config = require("../config"); // defaults to ./config/index.js
+const database = require("./database-service");
+const AlbumMetadataStore = require("./album-metadata-store");
+
+// Build an error carrying the HTTP status the route should answer with
+function albumError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Album Service - Registers albums and resolves where uploads may go
+ *
+ * An album is a row of the albums table plus a folder in the bucket holding <name>/<name>.json.
+ * Uploads must target a registered album: a folder without a row is never listed by
+ * GET /albums and its file counter is never updated.
+ */
+class AlbumService {
+  /**
+   * @param {Object} minioClient - MinIO client
+   * @param {Object} webhookService - WebhookService notified of new albums (optional)
+   */
+  constructor(minioClient, webhookService = null) {
+    this.minioClient = minioClient;
+    this.webhookService = webhookService;
+    this.albumMetadataStore = new AlbumMetadataStore(minioClient);
+  }
+
+  /**
+   * Clean an album name: no leading/trailing slashes, no repeated slashes
+   * @param {string} name - Album name or folder path as sent by a client
+   * @returns {string} Clean name, empty when nothing is left
+   */
+  static normalizeName(name = "") {
+    return String(name)
+      .trim()
+      .replace(/^\/+/, "")
+      .replace(/\/+$/, "")
+      .replace(/\/+/g, "/");
+  }
+
+  async _folderExists(folderPath) {
+    const stream = this.minioClient.listObjectsV2(config.minio.bucketName, folderPath, false);
+    for await (const obj of stream) {
+      return true; // We only need to check if any object exists with this prefix
+    }
+    return false;
+  }
+
+  /**
+   * Create an album: its metadata JSON (which also marks the folder) and its database row
+   * @param {string} name - Album name
+   * @returns {Object} Album row
+   */
+  async createAlbum(name) {
+    const cleanName = AlbumService.normalizeName(name);
+    if (!cleanName) {
+      throw albumError("Invalid album name", 400);
+    }
+
+    const folderPath = `${cleanName}/`;
+    if (await this._folderExists(folderPath)) {
+      throw albumError("Album already exists", 409);
+    }
+
+    const initialMetadata = {
+      album: {
+        name: cleanName,
+        created: new Date().toISOString(),
+        description: "",
+        totalObjects: 0,
+        totalSize: 0,
+        lastModified: new Date().toISOString(),
+      },
+      media: [],
+    };
+
+    try {
+      await this.albumMetadataStore.create(config.minio.bucketName, cleanName, initialMetadata);
+    } catch (error) {
+      // Created by another request (or replica) since the check above
+      if (error.code === "METADATA_EXISTS") throw albumError("Album already exists", 409);
+      throw error;
+    }
+
+    const created = await database.createAlbum({
+      name: cleanName,
+      path: folderPath,
+      description: "",
+    });
+    if (!created.result) {
+      throw albumError(created.message, 409);
+    }
+
+    debugAlbum(`[album-service.js] Created album ${cleanName}`);
+    const album = await database.getAlbumByPath(folderPath);
+    this.webhookService?.emit("album.created", {
+      name: album.name,
+      slug: album.slug,
+      path: album.path,
+    });
+    return album;
+  }
+
+  /**
+   * Find the registered album an upload targets, optionally creating it
+   * @param {string} name - Album name (or folder path of the legacy upload routes)
+   * @param {Object} options - Resolution options
+   * @param {boolean} options.create - Create the album when it does not exist yet
+   * @returns {Object} Album row plus folderPath, the prefix uploads are stored under (no trailing slash)
+   */
+  async resolveUploadAlbum(name, { create = false } = {}) {
+    const cleanName = AlbumService.normalizeName(name);
+    if (!cleanName) {
+      throw albumError("An album is required, uploads outside a registered album are not allowed", 400);
+    }
+
+    let album =
+      (await database.getAlbumByName(cleanName)) || (await database.getAlbumByPath(`${cleanName}/`));
+
+    if (!album && create) {
+      try {
+        album = await this.createAlbum(cleanName);
+      } catch (error) {
+        // Another upload may have created it in the meantime
+        album = error.status === 409 ? await database.getAlbumByPath(`${cleanName}/`) : null;
+        if (!album) throw error;
+      }
+    }
+    if (!album) {
+      throw albumError(`Album "${cleanName}" not found`, 404);
+    }
+
+    return { ...album, folderPath: album.path.replace(/\/$/, "") };
+  }
+}
+
+module.exports = AlbumService;
@@ -1,13 +1,114 @@
+const fs = require("fs");
 const debug = require("debug");
 // Debug namespaces
 const debugConverter = debug("photovault:converter");
 const config = require('../config'); // defaults to ./config/index.js
+const { createLimiter } = require('../utils/concurrency');
+const CircuitBreaker = require('../utils/circuit-breaker');
+
+// Shared by every instance so the converter never sees more than the configured parallel requests
+const limitConversions = createLimiter(config.converter.concurrency);
+// Shared as well: one converter, one view of whether it is up
+const breaker = new CircuitBreaker('AVIF converter', config.converter.circuitBreaker);
+
+// Exponential backoff with full jitter, so retrying clients do not hit a restarting pod in lockstep
+function backoffDelay(attempt) {
+  const ceiling = Math.min(config.converter.retryMaxDelay, config.converter.retryBaseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
 
 class AvifConverterService {
   constructor() {
     // Consolidated microservice configuration
+    this.name = 'http';
     this.converterUrl = config.converter.url;
     this.converterTimeout = parseInt(config.converter.timeout);
+    this.maxRetries = config.converter.retries;
+    this.variantProfiles = config.converter.variants;
+  }
+
+  /**
+   * State of the circuit breaker shared by all converter clients (for /health)
+   * @returns {Object} { state, failures, openedAt, retryAt, lastError }
+   */
+  static getCircuitState() {
+    return breaker.getState();
+  }
+
+  getCircuitState() {
+    return breaker.getState();
+  }
+
+  /**
+   * Run a converter request in a conversion slot with a timeout per attempt, retrying connection
+   * errors, timeouts and 5xx answers. 4xx answers are final. Fails fast while the circuit is open.
+   * @param {Function} request - async (signal) => result, throws an Error with `status` for HTTP errors
+   * @param {AbortSignal} signal - Caller's signal, aborting it stops retrying
+   * @returns {*} Result of the request
+   */
+  async _requestWithRetry(request, signal) {
+    for (let attempt = 0; ; attempt++) {
+      signal?.throwIfAborted();
+      try {
+        breaker.acquire();
+      } catch (error) {
+        error.unavailable = true;
+        throw error;
+      }
+
+      let timeoutSignal;
+      try {
+        // Hold the slot until the response body has been read, the converter is busy until then
+        const result = await limitConversions(() => {
+          // The job may have been cancelled while waiting for a free slot
+          signal?.throwIfAborted();
+          // The timeout only starts once the request is actually sent
+          timeoutSignal = AbortSignal.timeout(this.converterTimeout);
+          return request(signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal);
+        });
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if (signal?.aborted) {
+          breaker.release();
+          throw error;
+        }
+        // The converter answered, it is up but does not like this request
+        if (error.status && error.status < 500) {
+          breaker.recordSuccess();
+          throw error;
+        }
+
+        const failure = timeoutSignal?.aborted
+          ? new Error(`Converter did not answer within ${this.converterTimeout}ms`)
+          : error;
+        breaker.recordFailure(failure);
+        // Lets callers tell "converter down" apart from "this image cannot be converted"
+        failure.unavailable = true;
+
+        if (attempt >= this.maxRetries || breaker.getState().state === 'open') {
+          throw failure;
+        }
+        const delay = backoffDelay(attempt);
+        debugConverter(`[avif-converter-service.js] Attempt ${attempt + 1} failed (${failure.message}), retrying in ${delay}ms`);
+        await sleep(delay, signal);
+      }
+    }
   }
 
   /**
@@ -18,7 +119,7 @@ class AvifConverterService {
     try {
       const response = await fetch(`${this.converterUrl}/health`, {
         method: 'GET',
-        timeout: 60000 // 1 minute timeout for health checks
+        signal: AbortSignal.timeout(60000) // 1 minute timeout for health checks
       });
       
       if (!response.ok) {
@@ -41,39 +142,57 @@ class AvifConverterService {
 
  /**
  * Convert an image file to AVIF using the microservice
- * @param {Buffer} fileBuffer - Image file buffer
+ * @param {string|Buffer} source - Path of the image on disk (streamed) or image buffer
  * @param {string} originalName - Original filename
  * @param {string} mimeType - Original file MIME type
  * @param {boolean} returnContents - Whether to return file contents or just paths
- * @returns {Object} Conversion result with AVIF files
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Aborts the request (e.g. when the upload job is cancelled)
+ * @param {Array} options.variants - Resized variant profiles [{ name, width, quality }] (defaults to config)
+ * @returns {Object} Conversion result with AVIF files, the full-size one first;
+ *   on failure `unavailable` tells whether the converter could not be reached (worth retrying later)
  */
-async convertImage(fileBuffer, originalName, mimeType, returnContents = true) {
+async convertImage(source, originalName, mimeType, returnContents = true, { signal, variants = this.variantProfiles } = {}) {
     try {
       //debugConverter(`[(53)] Converting image: ${originalName} (${mimeType})`);
       const endpoint = '/convert';
       const formData = new FormData();
-      const blob = new Blob([fileBuffer], { type: mimeType });
+      // A file-backed Blob is streamed from disk instead of being loaded into memory
+      const blob = Buffer.isBuffer(source)
+        ? new Blob([source], { type: mimeType })
+        : await fs.openAsBlob(source, { type: mimeType });
       formData.append('image', blob, originalName);
       formData.append('mimeType', mimeType);
-
-      const response = await fetch(`${this.converterUrl}${endpoint}`, {
-        method: 'POST',
-        body: formData,
-        timeout: this.converterTimeout
-      });
-      //debugConverter(`[(65)] Received ${response.status} | ${response.statusText} from converter for ${originalName}`);
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Conversion failed: ${response.status} ${response.statusText} - ${errorText}`);
+      if (variants.length > 0) {
+        formData.append('variants', JSON.stringify(variants));
       }
+      // Screenshots and exports may be transparent, AVIF can keep the alpha channel
+      if (mimeType === 'image/png' || mimeType === 'image/webp') {
+        formData.append('preserveAlpha', 'true');
+      }
+
+      const responseData = await this._requestWithRetry(async (requestSignal) => {
+        const response = await fetch(`${this.converterUrl}${endpoint}`, {
+          method: 'POST',
+          body: formData,
+          signal: requestSignal
+        });
+        //debugConverter(`[(65)] Received ${response.status} | ${response.statusText} from converter for ${originalName}`);
+        if (!response.ok) {
+          const errorText = await response.text();
+          const error = new Error(`Conversion failed: ${response.status} ${response.statusText} - ${errorText}`);
+          error.status = response.status;
+          throw error;
+        }
 
-      const responseData = await response.json();
+        return response.json();
+      }, signal);
 
       if (!responseData.success) {
         throw new Error(`Conversion failed: ${responseData.error || 'Unknown error'}`);
       }
 
-      const baseName = originalName.replace(/\.(jpg|jpeg|heic)$/i, '');
+      const baseName = originalName.replace(/\.(jpg|jpeg|heic|heif|png|webp)$/i, '');
       const files = [];
       files.push({
         filename: `${baseName}.avif`,
@@ -83,6 +202,19 @@ async convertImage(fileBuffer, originalName, mimeType, returnContents = true) {
         variant: 'full'
       });
 
+      // Converters without variant support only answer with the full-size file
+      for (const variant of responseData.data.variants || []) {
+        files.push({
+          filename: `${baseName}.avif`,
+          content: variant.content,
+          size: variant.size,
+          width: variant.width,
+          height: variant.height,
+          mimetype: 'image/avif',
+          variant: variant.name
+        });
+      }
+
       return {
         success: true,
         data: {
@@ -93,7 +225,8 @@ async convertImage(fileBuffer, originalName, mimeType, returnContents = true) {
     } catch (error) {
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        unavailable: Boolean(error.unavailable) && !signal?.aborted
       };
     }
   }
@@ -0,0 +1,246 @@
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const { v4: uuidv4, validate: isUuid } = require("uuid");
+const debug = require("debug");
+const debugChunked = debug("photovault:chunked-upload");
+const config = require("../config"); // defaults to ./config/index.js
+const { checkDeclaredType } = require("../utils/file-type");
+
+// Build an error carrying the HTTP status the route should answer with
+function uploadError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Chunked Upload Service - Resumable uploads stored on local disk
+ *
+ * Each upload is kept as two files in the temp directory:
+ * - <uploadId>.part  the bytes received so far (its size is the current offset)
+ * - <uploadId>.json  the declared filename, mimetype, size and target folder
+ */
+class ChunkedUploadService {
+  constructor(tempDir = config.upload.tempDir) {
+    this.tempDir = tempDir;
+    this.activeWrites = new Set(); // Upload IDs with a chunk currently being written
+  }
+
+  _partPath(uploadId) {
+    return path.join(this.tempDir, `${uploadId}.part`);
+  }
+
+  _statePath(uploadId) {
+    return path.join(this.tempDir, `${uploadId}.json`);
+  }
+
+  /**
+   * Check the declared properties of an upload, throws with the HTTP status to answer with
+   * @param {Object} options - Declared file properties (filename, mimetype, size)
+   * @returns {number} Total file size in bytes
+   */
+  validate({ filename, mimetype, size }) {
+    if (!filename || !mimetype) {
+      throw uploadError("filename and mimetype are required", 400);
+    }
+    const typeRejection = checkDeclaredType(mimetype);
+    if (typeRejection) {
+      throw uploadError(typeRejection, 415);
+    }
+
+    const totalSize = Number(size);
+    if (!Number.isInteger(totalSize) || totalSize <= 0) {
+      throw uploadError("size must be a positive integer", 400);
+    }
+    if (totalSize > config.upload.maxFileSize) {
+      throw uploadError(`File too large. Maximum allowed: ${config.upload.maxFileSize} bytes`, 413);
+    }
+    return totalSize;
+  }
+
+  /**
+   * Start a new resumable upload
+   * @param {Object} options - Declared file properties
+   * @param {string} options.filename - Original filename
+   * @param {string} options.mimetype - File MIME type
+   * @param {number} options.size - Total file size in bytes
+   * @param {string} options.folderPath - Target album folder
+   * @returns {Object} Upload state including the current offset
+   */
+  async create({ filename, mimetype, size, folderPath = "" }) {
+    const totalSize = this.validate({ filename, mimetype, size });
+
+    await fsp.mkdir(this.tempDir, { recursive: true });
+
+    const now = new Date().toISOString();
+    const state = {
+      uploadId: uuidv4(),
+      filename: path.basename(filename),
+      mimetype,
+      size: totalSize,
+      folderPath,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await fsp.writeFile(this._partPath(state.uploadId), Buffer.alloc(0));
+    await fsp.writeFile(this._statePath(state.uploadId), JSON.stringify(state));
+    debugChunked(`[chunked-upload-service.js] Created upload ${state.uploadId} for ${state.filename} (${totalSize} bytes)`);
+
+    return { ...state, offset: 0 };
+  }
+
+  /**
+   * Get an upload and the number of bytes received so far
+   * @param {string} uploadId - Upload ID
+   * @returns {Object|null} Upload state or null if unknown
+   */
+  async getUpload(uploadId) {
+    if (!isUuid(uploadId)) return null;
+
+    try {
+      const state = JSON.parse(await fsp.readFile(this._statePath(uploadId), "utf8"));
+      const { size: offset } = await fsp.stat(this._partPath(uploadId));
+      return { ...state, offset };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Append a chunk to an upload
+   * @param {string} uploadId - Upload ID
+   * @param {number} offset - Offset the client believes the chunk starts at
+   * @param {Readable} stream - Chunk body
+   * @returns {number} The new offset
+   */
+  async appendChunk(uploadId, offset, stream) {
+    const upload = await this.getUpload(uploadId);
+    if (!upload) {
+      throw uploadError("Upload not found", 404);
+    }
+    if (this.activeWrites.has(uploadId)) {
+      throw uploadError("Another chunk is already being written for this upload", 409);
+    }
+    if (offset !== upload.offset) {
+      throw uploadError(`Offset mismatch: server has ${upload.offset} bytes`, 409);
+    }
+
+    const remaining = upload.size - upload.offset;
+    let received = 0;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > remaining) {
+          return callback(uploadError("Chunk exceeds the declared upload size", 413));
+        }
+        callback(null, chunk);
+      },
+    });
+
+    this.activeWrites.add(uploadId);
+    try {
+      await pipeline(stream, limiter, fs.createWriteStream(this._partPath(uploadId), { flags: "a" }));
+    } catch (error) {
+      if (error.status === 413) {
+        // Discard the oversized chunk entirely
+        await fsp.truncate(this._partPath(uploadId), upload.offset);
+        throw error;
+      }
+      // A dropped connection keeps whatever reached the disk, the client resumes from there
+      debugChunked(`[chunked-upload-service.js] Chunk for upload ${uploadId} interrupted: ${error.message}`);
+    } finally {
+      this.activeWrites.delete(uploadId);
+    }
+
+    await this._touch(uploadId, upload);
+    const { size: newOffset } = await fsp.stat(this._partPath(uploadId));
+    return newOffset;
+  }
+
+  /**
+   * Complete an upload and hand back a multer-like file object
+   * @param {string} uploadId - Upload ID
+   * @returns {Object} File object and target folder
+   */
+  async finalize(uploadId) {
+    const upload = await this.getUpload(uploadId);
+    if (!upload) {
+      throw uploadError("Upload not found", 404);
+    }
+    if (this.activeWrites.has(uploadId)) {
+      throw uploadError("A chunk is still being written for this upload", 409);
+    }
+    if (upload.offset !== upload.size) {
+      throw uploadError(`Upload incomplete: ${upload.offset} of ${upload.size} bytes received`, 409);
+    }
+
+    // Move the file next to regular multipart uploads; processing deletes it when done
+    await fsp.mkdir(config.upload.incomingDir, { recursive: true });
+    const filePath = path.join(config.upload.incomingDir, uploadId);
+    await fsp.rename(this._partPath(uploadId), filePath);
+    await this.remove(uploadId);
+
+    return {
+      folderPath: upload.folderPath,
+      file: {
+        originalname: upload.filename,
+        mimetype: upload.mimetype,
+        size: upload.size,
+        path: filePath,
+      },
+    };
+  }
+
+  /**
+   * Delete an upload and its received bytes
+   * @param {string} uploadId - Upload ID
+   */
+  async remove(uploadId) {
+    if (!isUuid(uploadId)) return;
+    await fsp.rm(this._partPath(uploadId), { force: true });
+    await fsp.rm(this._statePath(uploadId), { force: true });
+  }
+
+  /**
+   * Delete uploads that have not received a chunk within the expiry window
+   * @returns {number} Number of removed uploads
+   */
+  async removeExpired() {
+    let entries;
+    try {
+      entries = await fsp.readdir(this.tempDir);
+    } catch (error) {
+      if (error.code === "ENOENT") return 0;
+      throw error;
+    }
+
+    const cutoff = Date.now() - config.upload.chunkedUploadExpiry;
+    let removed = 0;
+
+    for (const entry of entries) {
+      if (!entry.endsWith(".json")) continue;
+      const uploadId = entry.slice(0, -".json".length);
+      const upload = await this.getUpload(uploadId);
+
+      if (upload && new Date(upload.updatedAt).getTime() < cutoff && !this.activeWrites.has(uploadId)) {
+        await this.remove(uploadId);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  async _touch(uploadId, upload) {
+    const { offset, ...state } = upload;
+    state.updatedAt = new Date().toISOString();
+    await fsp.writeFile(this._statePath(uploadId), JSON.stringify(state));
+  }
+}
+
+module.exports = ChunkedUploadService;
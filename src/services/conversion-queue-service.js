@@ -0,0 +1,158 @@
+const fs = require("fs");
+const path = require("path");
+const database = require("./database-service");
+const config = require("../config"); // defaults to ./config/index.js
+const debug = require("debug");
+const debugQueue = debug("photovault:conversion-queue");
+
+/**
+ * Conversion Queue Service - converts photos that were uploaded while the AVIF converter was down
+ *
+ * UploadService parks such photos under the pending prefix and records them in
+ * pending_conversions. This worker waits for the converter to report healthy, then converts
+ * them in upload order and files them in their album like any other upload.
+ */
+class ConversionQueueService {
+  /**
+   * @param {Object} minioClient - MinIO client
+   * @param {Object} uploadService - UploadService used for the conversion itself
+   */
+  constructor(minioClient, uploadService) {
+    this.minioClient = minioClient;
+    this.uploadService = uploadService;
+    this.options = config.conversionQueue;
+    this.timer = null;
+    this.requeueTimer = null;
+    this.running = null; // Promise of the pass in progress
+  }
+
+  /**
+   * Requeue conversions orphaned by a previous process and start polling. Workers of other
+   * instances can die at any time, so orphans are looked for again periodically.
+   */
+  async start() {
+    await this.requeueInterrupted();
+
+    this.timer = setInterval(() => this.processQueue(), this.options.interval);
+    this.timer.unref();
+    this.requeueTimer = setInterval(() => this.requeueInterrupted(), this.options.staleAfter);
+    this.requeueTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    clearInterval(this.requeueTimer);
+    this.timer = null;
+    this.requeueTimer = null;
+  }
+
+  // Put conversions left 'converting' for longer than staleAfter back in the queue
+  async requeueInterrupted() {
+    try {
+      const requeued = await database.requeueInterruptedConversions(this.options.staleAfter);
+      if (requeued > 0) {
+        debugQueue(`[conversion-queue-service.js] Requeued ${requeued} interrupted conversion(s)`);
+      }
+    } catch (error) {
+      debugQueue(`[conversion-queue-service.js] Failed to requeue interrupted conversions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert the next batch of pending photos if the converter is available.
+   * Calls made while a pass is running share that pass.
+   * @returns {Object} { converted, failed, remaining } or { skipped: reason }
+   */
+  processQueue() {
+    if (!this.running) {
+      this.running = this._processBatch().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async _processBatch() {
+    try {
+      const pending = await database.getPendingConversions({ status: "pending", limit: this.options.batchSize });
+      if (pending.length === 0) return { converted: 0, failed: 0, remaining: 0 };
+
+      if (!(await this.uploadService.converter.isAvailable())) {
+        debugQueue(`[conversion-queue-service.js] Converter still unavailable, ${pending.length} conversion(s) waiting`);
+        return { skipped: "Converter unavailable" };
+      }
+
+      let converted = 0;
+      let failed = 0;
+      for (const conversion of pending) {
+        if (!(await database.claimPendingConversion(conversion.id))) continue;
+
+        const outcome = await this._convert(conversion);
+        if (outcome === "converted") converted++;
+        if (outcome === "failed") failed++;
+        // The converter went away again, leave the rest for the next pass
+        if (outcome === "unavailable") break;
+      }
+
+      const remaining = (await database.getPendingConversions({ status: "pending", limit: this.options.batchSize })).length;
+      debugQueue(`[conversion-queue-service.js] Converted ${converted}, failed ${failed}, ${remaining} still pending`);
+      return { converted, failed, remaining };
+    } catch (error) {
+      debugQueue(`[conversion-queue-service.js] Queue pass failed: ${error.message}`);
+      return { skipped: error.message };
+    }
+  }
+
+  /**
+   * Convert one claimed conversion
+   * @param {Object} conversion - Row from pending_conversions
+   * @returns {string} "converted", "pending" (will be retried), "failed" or "unavailable"
+   */
+  async _convert(conversion) {
+    const tempPath = path.join(
+      config.upload.incomingDir,
+      `pending-${conversion.id}${path.extname(conversion.original_name)}`
+    );
+
+    try {
+      await fs.promises.mkdir(config.upload.incomingDir, { recursive: true });
+      await this.minioClient.fGetObject(conversion.bucket, conversion.pending_object, tempPath);
+
+      const file = {
+        path: tempPath,
+        originalname: conversion.original_name,
+        mimetype: conversion.mimetype,
+        size: conversion.size,
+      };
+      const result = await this.uploadService.convertPendingFile(conversion, file);
+
+      await database.completePendingConversion(conversion.id, result.objectName);
+      await this.minioClient.removeObject(conversion.bucket, conversion.pending_object);
+      await database.incrementFileCounter(1, conversion.folder_path);
+
+      debugQueue(`[conversion-queue-service.js] Converted ${conversion.original_name} to ${result.objectName}`);
+      return "converted";
+    } catch (error) {
+      const unavailable = error.code === "CONVERTER_UNAVAILABLE";
+      const exhausted = !unavailable && conversion.attempts + 1 >= this.options.maxAttempts;
+      debugQueue(`[conversion-queue-service.js] Converting ${conversion.original_name} failed: ${error.message}`);
+
+      try {
+        await database.failPendingConversion(conversion.id, {
+          status: exhausted ? "failed" : "pending",
+          error: error.message,
+          countAttempt: !unavailable,
+        });
+      } catch (dbError) {
+        debugQueue(`[conversion-queue-service.js] Failed to record error for ${conversion.id}: ${dbError.message}`);
+      }
+
+      if (unavailable) return "unavailable";
+      return exhausted ? "failed" : "pending";
+    } finally {
+      await fs.promises.rm(tempPath, { force: true });
+    }
+  }
+}
+
+module.exports = ConversionQueueService;
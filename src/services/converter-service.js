@@ -0,0 +1,34 @@
+// services/converter-service.js - Picks the image conversion backend
+//
+// Every backend implements the same interface:
+//   convertImage(source, originalName, mimeType, returnContents, { signal, variants })
+//     -> { success, data: { files: [{ filename, mimetype, size, variant, content|buffer }] } }
+//        or { success: false, error, unavailable }
+//   checkHealth(), checkAllServicesHealth(), isAvailable()
+const config = require("../config"); // defaults to ./config/index.js
+
+const BACKENDS = {
+  // External microservice at config.converter.url (AVIF only)
+  http: () => require("./avif-converter-service"),
+  // In-process sharp/libvips (AVIF or WebP), loaded only when selected
+  sharp: () => require("./sharp-converter-service"),
+};
+
+/**
+ * Create the converter selected by config.converter.backend
+ * @param {string} backend - Backend name (http or sharp)
+ * @returns {Object} Converter instance
+ */
+function createConverter(backend = config.converter.backend) {
+  const loadBackend = BACKENDS[backend];
+  if (!loadBackend) {
+    throw new Error(`Unknown converter backend "${backend}", expected one of: ${Object.keys(BACKENDS).join(", ")}`);
+  }
+
+  const Converter = loadBackend();
+  return new Converter();
+}
+
+module.exports = {
+  createConverter,
+};
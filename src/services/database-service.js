@@ -2,6 +2,7 @@
 const mysql = require("mysql2/promise");
 const bcrypt = require("bcryptjs");
 const config = require('../config'); // defaults to ./config/index.js
+const { toSqlDateTime, fromSqlDateTime } = require("../utils/media-record");
 
 
 // --- Slug helpers -----------------------------------------------------------
@@ -21,6 +22,26 @@ function makeSlugWithId(name, id) {
   return base || String(id);
 }
 
+// Sort options of searchMedia -> column (both indexed)
+const SEARCH_SORT_COLUMNS = {
+  captured: "m.captured_at",
+  uploaded: "m.created_at",
+};
+
+// Capture time on the camera's clock: captured_at is UTC converted with offset_time_original
+// when the camera recorded one, and the clock time itself when it did not
+const CAPTURED_LOCAL = `COALESCE(CONVERT_TZ(m.captured_at, '+00:00', m.offset_time_original), m.captured_at)`;
+
+// Date a photo is shown at on the timeline: its local capture time, else the upload time
+// (created_at is in the session time zone)
+const TIMELINE_DATE = `COALESCE(
+  ${CAPTURED_LOCAL},
+  CONVERT_TZ(m.created_at, @@session.time_zone, '+00:00')
+)`;
+
+// Largest time zone offset, local capture times are within it of captured_at
+const TIME_ZONE_MARGIN = 14 * 60 * 60 * 1000;
+
 class Database {
   constructor() {
     this.pool = null;
@@ -39,6 +60,14 @@ class Database {
 
       this.isInitialized = true;
 
+      // Make sure the tables and columns added after the initial schema exist
+      await this.initializeJobTables();
+      await this.initializeAlbumSettings();
+      await this.initializeConversionTables();
+      await this.initializeWebhookTables();
+      await this.initializeMediaTables();
+      await this.initializeGeocodeTables();
+
       // Check if users exist before initializing defaults
       const users = await this.getAllUsers();
       if (users.length === 0) {
@@ -287,7 +316,7 @@ class Database {
     const connection = await this.pool.getConnection();
     try {
       const [rows] = await connection.execute(
-        "SELECT id, name, slug, path, description, created_at, updated_at FROM albums WHERE name = ?",
+        "SELECT id, name, slug, path, description, archive_originals, created_at, updated_at FROM albums WHERE name = ?",
         [name]
       );
 
@@ -302,7 +331,7 @@ class Database {
     const connection = await this.pool.getConnection();
     try {
       const [rows] = await connection.execute(
-        "SELECT id, name, slug, path, description, created_at, updated_at FROM albums WHERE id = ?",
+        "SELECT id, name, slug, path, description, archive_originals, created_at, updated_at FROM albums WHERE id = ?",
         [albumId]
       );
 
@@ -317,7 +346,7 @@ class Database {
     const connection = await this.pool.getConnection();
     try {
       const [rows] = await connection.execute(
-        "SELECT id, name, slug, path, description, created_at, updated_at FROM albums WHERE path = ?",
+        "SELECT id, name, slug, path, description, archive_originals, created_at, updated_at FROM albums WHERE path = ?",
         [path]
       );
 
@@ -370,9 +399,37 @@ class Database {
     }
   }
 
+  // Add per-album settings columns to databases created before they existed
+  async initializeAlbumSettings() {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.query(
+        "ALTER TABLE albums ADD COLUMN IF NOT EXISTS archive_originals BOOLEAN NOT NULL DEFAULT TRUE"
+      );
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Update per-album settings
+  async updateAlbumSettings(albumId, { archiveOriginals }) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [result] = await connection.execute(
+        "UPDATE albums SET archive_originals = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [archiveOriginals, albumId]
+      );
+
+      return result.affectedRows > 0;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Accepts the album name or its folder path (uploads only know the folder, "name" or "name/")
   async incrementFileCounter(increment, albumName) {
-    let updateQuery = " UPDATE albums SET counter = counter + ? WHERE name = ?";
-    const params = [increment, albumName];
+    let updateQuery = " UPDATE albums SET counter = counter + ? WHERE name = ? OR path = ?";
+    const params = [increment, albumName, `${albumName.replace(/\/+$/, "")}/`];
   
 
     const connection = await this.pool.getConnection();
@@ -400,6 +457,1139 @@ class Database {
     }
   }
 
+  // ========================= UPLOAD JOB METHODS =========================
+
+  // Create upload job tables if they do not exist yet
+  async initializeJobTables() {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS upload_jobs (
+          id CHAR(36) PRIMARY KEY,
+          bucket VARCHAR(100) NOT NULL,
+          folder_path VARCHAR(255) NOT NULL DEFAULT '',
+          status VARCHAR(20) NOT NULL DEFAULT 'processing',
+          total_files INT NOT NULL DEFAULT 0,
+          uploaded_count INT NOT NULL DEFAULT 0,
+          failed_count INT NOT NULL DEFAULT 0,
+          rejected_count INT NOT NULL DEFAULT 0,
+          processing_time INT NULL,
+          error TEXT NULL,
+          heartbeat_at TIMESTAMP NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          completed_at TIMESTAMP NULL,
+
+          INDEX idx_status (status)
+        )
+      `);
+      await connection.query(
+        "ALTER TABLE upload_jobs ADD COLUMN IF NOT EXISTS rejected_count INT NOT NULL DEFAULT 0 AFTER failed_count"
+      );
+
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS upload_job_items (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          job_id CHAR(36) NOT NULL,
+          file_index INT NOT NULL,
+          filename VARCHAR(255) NOT NULL,
+          mimetype VARCHAR(100) NULL,
+          size BIGINT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          object_name VARCHAR(512) NULL,
+          error TEXT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          UNIQUE KEY uniq_job_file (job_id, file_index),
+          FOREIGN KEY (job_id) REFERENCES upload_jobs(id) ON DELETE CASCADE
+        )
+      `);
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Create an upload job together with one pending item per file; files refused before they were
+  // received ({ filename, mimetype, reason }) are listed after them as rejected items
+  async createUploadJob({ id, bucket, folderPath = "", files = [], rejectedFiles = [] }) {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute(
+        "INSERT INTO upload_jobs (id, bucket, folder_path, status, total_files, heartbeat_at) VALUES (?, ?, ?, 'processing', ?, CURRENT_TIMESTAMP)",
+        [id, bucket, folderPath, files.length + rejectedFiles.length]
+      );
+
+      for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        await connection.execute(
+          "INSERT INTO upload_job_items (job_id, file_index, filename, mimetype, size) VALUES (?, ?, ?, ?, ?)",
+          [id, i, file.originalname, file.mimetype || null, file.size ?? null]
+        );
+      }
+      for (let i = 0; i < rejectedFiles.length; i++) {
+        const file = rejectedFiles[i];
+        await connection.execute(
+          "INSERT INTO upload_job_items (job_id, file_index, filename, mimetype, status, error) VALUES (?, ?, ?, ?, 'rejected', ?)",
+          [id, files.length + i, file.filename, file.mimetype || null, file.reason]
+        );
+      }
+
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Update the status of a single file in an upload job
+  async updateUploadJobItem(jobId, fileIndex, { status, objectName = null, error = null }) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [result] = await connection.execute(
+        "UPDATE upload_job_items SET status = ?, object_name = ?, error = ? WHERE job_id = ? AND file_index = ?",
+        [status, objectName, error, jobId, fileIndex]
+      );
+
+      return result.affectedRows > 0;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Store the final outcome of an upload job
+  async completeUploadJob(jobId, { status, uploaded = 0, failed = 0, rejected = 0, processingTime = null, error = null }) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [result] = await connection.execute(
+        `UPDATE upload_jobs
+         SET status = ?, uploaded_count = ?, failed_count = ?, rejected_count = ?, processing_time = ?, error = ?,
+             completed_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [status, uploaded, failed, rejected, processingTime, error, jobId]
+      );
+
+      return result.affectedRows > 0;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Refresh the heartbeat of jobs that are still being processed by this instance
+  async touchUploadJobs(jobIds) {
+    if (!jobIds || jobIds.length === 0) return 0;
+
+    const connection = await this.pool.getConnection();
+    try {
+      const placeholders = jobIds.map(() => "?").join(", ");
+      const [result] = await connection.execute(
+        `UPDATE upload_jobs SET heartbeat_at = CURRENT_TIMESTAMP WHERE status = 'processing' AND id IN (${placeholders})`,
+        jobIds
+      );
+
+      return result.affectedRows;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Get an upload job with its per-file results
+  async getUploadJob(jobId) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [jobs] = await connection.execute(
+        `SELECT id, bucket, folder_path, status, total_files, uploaded_count, failed_count, rejected_count,
+                processing_time, error, created_at, updated_at, completed_at
+         FROM upload_jobs WHERE id = ?`,
+        [jobId]
+      );
+
+      if (jobs.length === 0) {
+        return null;
+      }
+
+      const [items] = await connection.execute(
+        "SELECT file_index, filename, mimetype, size, status, object_name, error, updated_at FROM upload_job_items WHERE job_id = ? ORDER BY file_index",
+        [jobId]
+      );
+
+      return { ...jobs[0], items };
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Mark jobs whose heartbeat stopped (e.g. the pod restarted mid-batch) as failed.
+  // Their temp files do not outlive the process that received them, so they cannot be resumed.
+  async failInterruptedUploadJobs(staleAfterMs) {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [jobs] = await connection.execute(
+        `SELECT id FROM upload_jobs
+         WHERE status = 'processing'
+           AND (heartbeat_at IS NULL OR heartbeat_at < NOW() - INTERVAL ? SECOND)
+         FOR UPDATE`,
+        [Math.ceil(staleAfterMs / 1000)]
+      );
+
+      for (const { id } of jobs) {
+        await connection.execute(
+          "UPDATE upload_job_items SET status = 'failed', error = ? WHERE job_id = ? AND status IN ('pending', 'processing')",
+          ["Interrupted by server restart", id]
+        );
+
+        await connection.execute(
+          `UPDATE upload_jobs
+           SET status = 'failed',
+               error = 'Interrupted by server restart',
+               uploaded_count = (SELECT COUNT(*) FROM upload_job_items WHERE job_id = ? AND status = 'uploaded'),
+               failed_count = (SELECT COUNT(*) FROM upload_job_items WHERE job_id = ? AND status = 'failed'),
+               completed_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [id, id, id]
+        );
+      }
+
+      await connection.commit();
+      return jobs.map((job) => job.id);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // ========================= PENDING CONVERSION METHODS =========================
+
+  // Photos stored unconverted while the AVIF converter was unavailable
+  async initializeConversionTables() {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS pending_conversions (
+          id CHAR(36) PRIMARY KEY,
+          job_id CHAR(36) NULL,
+          bucket VARCHAR(100) NOT NULL,
+          folder_path VARCHAR(255) NOT NULL DEFAULT '',
+          pending_object VARCHAR(512) NOT NULL,
+          original_name VARCHAR(255) NOT NULL,
+          mimetype VARCHAR(100) NOT NULL,
+          size BIGINT NOT NULL,
+          content_hash CHAR(64) NULL,
+          metadata JSON NULL,
+          archive_original BOOLEAN NOT NULL DEFAULT TRUE,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          attempts INT NOT NULL DEFAULT 0,
+          object_name VARCHAR(512) NULL,
+          error TEXT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          converted_at TIMESTAMP NULL,
+
+          INDEX idx_status (status)
+        )
+      `);
+    } finally {
+      connection.release();
+    }
+  }
+
+  async createPendingConversion({
+    id,
+    jobId = null,
+    bucket,
+    folderPath = "",
+    pendingObject,
+    originalName,
+    mimetype,
+    size,
+    contentHash = null,
+    metadata = null,
+    archiveOriginal = true,
+  }) {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.execute(
+        `INSERT INTO pending_conversions
+           (id, job_id, bucket, folder_path, pending_object, original_name, mimetype, size, content_hash, metadata, archive_original)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id,
+          jobId,
+          bucket,
+          folderPath,
+          pendingObject,
+          originalName,
+          mimetype,
+          size,
+          contentHash,
+          metadata ? JSON.stringify(metadata) : null,
+          archiveOriginal,
+        ]
+      );
+      return id;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // The JSON column comes back as a string on MariaDB
+  _parsePendingConversion(row) {
+    return {
+      ...row,
+      metadata: typeof row.metadata === "string" ? JSON.parse(row.metadata) : row.metadata,
+    };
+  }
+
+  async getPendingConversion(id) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [rows] = await connection.execute(
+        "SELECT * FROM pending_conversions WHERE id = ?",
+        [id]
+      );
+      return rows[0] ? this._parsePendingConversion(rows[0]) : null;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // List conversions, oldest first, optionally filtered by status
+  async getPendingConversions({ status = null, limit = 100 } = {}) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM pending_conversions
+         ${status ? "WHERE status = ?" : ""}
+         ORDER BY created_at ASC
+         LIMIT ?`,
+        status ? [status, limit] : [limit]
+      );
+      return rows.map((row) => this._parsePendingConversion(row));
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Take a pending conversion for processing; false if another worker got it first
+  async claimPendingConversion(id) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [result] = await connection.execute(
+        "UPDATE pending_conversions SET status = 'converting' WHERE id = ? AND status = 'pending'",
+        [id]
+      );
+      return result.affectedRows > 0;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async completePendingConversion(id, objectName) {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.execute(
+        "UPDATE pending_conversions SET status = 'converted', object_name = ?, error = NULL, converted_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [objectName, id]
+      );
+    } finally {
+      connection.release();
+    }
+  }
+
+  // status 'pending' puts it back in the queue, 'failed' leaves it for an admin to retry.
+  // Attempts are only counted for real conversion errors, not for an unreachable converter.
+  async failPendingConversion(id, { status = "pending", error = null, countAttempt = true }) {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.execute(
+        "UPDATE pending_conversions SET status = ?, error = ?, attempts = attempts + ? WHERE id = ?",
+        [status, error, countAttempt ? 1 : 0, id]
+      );
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Queue failed conversions again (admin retry); all failed ones when no id is given.
+  // With staleAfterMs, conversions 'converting' for longer than that are queued again too.
+  async retryPendingConversions(id = null, { staleAfterMs = null } = {}) {
+    const connection = await this.pool.getConnection();
+    try {
+      const stale = staleAfterMs === null ? "" : "OR (status = 'converting' AND updated_at < NOW() - INTERVAL ? SECOND)";
+      const params = staleAfterMs === null ? [] : [Math.ceil(staleAfterMs / 1000)];
+      const [result] = await connection.execute(
+        `UPDATE pending_conversions SET status = 'pending', attempts = 0
+         WHERE (status = 'failed' ${stale}) ${id ? "AND id = ?" : ""}`,
+        id ? [...params, id] : params
+      );
+      return result.affectedRows;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async deletePendingConversion(id) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [result] = await connection.execute(
+        "DELETE FROM pending_conversions WHERE id = ?",
+        [id]
+      );
+      return result.affectedRows > 0;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Conversions left 'converting' by a process that died are queued again
+  async requeueInterruptedConversions(staleAfterMs) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [result] = await connection.execute(
+        "UPDATE pending_conversions SET status = 'pending' WHERE status = 'converting' AND updated_at < NOW() - INTERVAL ? SECOND",
+        [Math.ceil(staleAfterMs / 1000)]
+      );
+      return result.affectedRows;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // ========================= MEDIA METHODS =========================
+
+  // One row per stored photo or video; the album JSON files are only an export of this table
+  async initializeMediaTables() {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS media (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          album_id INT NULL,
+          bucket VARCHAR(100) NOT NULL,
+          object_key VARCHAR(512) NOT NULL,
+          media_type VARCHAR(10) NOT NULL DEFAULT 'photo',
+          mimetype VARCHAR(100) NULL,
+          size BIGINT NULL,
+          captured_at DATETIME(3) NULL,
+          latitude DECIMAL(9,6) NULL,
+          longitude DECIMAL(9,6) NULL,
+          address VARCHAR(512) NULL,
+          geocode_status VARCHAR(20) NULL,
+          geocode_provider VARCHAR(30) NULL,
+          geocode_error VARCHAR(255) NULL,
+          camera_make VARCHAR(100) NULL,
+          camera_model VARCHAR(100) NULL,
+          software VARCHAR(255) NULL,
+          lens VARCHAR(255) NULL,
+          camera_serial VARCHAR(100) NULL,
+          lens_serial VARCHAR(100) NULL,
+          title VARCHAR(255) NULL,
+          caption TEXT NULL,
+          rating TINYINT NULL,
+          offset_time_original VARCHAR(10) NULL,
+          content_identifier VARCHAR(100) NULL,
+          settings JSON NULL,
+          iso INT NULL,
+          aperture DECIMAL(5,2) NULL,
+          width INT NULL,
+          height INT NULL,
+          dimensions JSON NULL,
+          duration DOUBLE NULL,
+          content_hash CHAR(64) NULL,
+          original_key VARCHAR(512) NULL,
+          variants JSON NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          UNIQUE KEY uniq_object (bucket, object_key),
+          INDEX idx_album_captured (album_id, captured_at),
+          INDEX idx_captured (captured_at),
+          INDEX idx_created (created_at),
+          INDEX idx_camera (camera_make, camera_model),
+          INDEX idx_iso (iso),
+          INDEX idx_aperture (aperture),
+          INDEX idx_location (latitude, longitude),
+          INDEX idx_content_hash (content_hash),
+          INDEX idx_content_identifier (content_identifier)
+        )
+      `);
+      // ISO and aperture are searched by range, rows written before they had columns get them
+      // from their settings once
+      const [[{ hasSettingColumns }]] = await connection.query(`
+        SELECT COUNT(*) > 0 AS hasSettingColumns FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'media' AND COLUMN_NAME = 'iso'
+      `);
+      // Columns added since the table was introduced, for tables created before them
+      await connection.query(`
+        ALTER TABLE media
+          ADD COLUMN IF NOT EXISTS geocode_status VARCHAR(20) NULL AFTER address,
+          ADD COLUMN IF NOT EXISTS geocode_provider VARCHAR(30) NULL AFTER geocode_status,
+          ADD COLUMN IF NOT EXISTS geocode_error VARCHAR(255) NULL AFTER geocode_provider,
+          ADD COLUMN IF NOT EXISTS camera_serial VARCHAR(100) NULL AFTER lens,
+          ADD COLUMN IF NOT EXISTS lens_serial VARCHAR(100) NULL AFTER camera_serial,
+          ADD COLUMN IF NOT EXISTS title VARCHAR(255) NULL AFTER lens_serial,
+          ADD COLUMN IF NOT EXISTS caption TEXT NULL AFTER title,
+          ADD COLUMN IF NOT EXISTS rating TINYINT NULL AFTER caption,
+          ADD COLUMN IF NOT EXISTS offset_time_original VARCHAR(10) NULL AFTER rating,
+          ADD COLUMN IF NOT EXISTS content_identifier VARCHAR(100) NULL AFTER offset_time_original,
+          ADD COLUMN IF NOT EXISTS iso INT NULL AFTER settings,
+          ADD COLUMN IF NOT EXISTS aperture DECIMAL(5,2) NULL AFTER iso,
+          ADD INDEX IF NOT EXISTS idx_content_identifier (content_identifier),
+          ADD INDEX IF NOT EXISTS idx_created (created_at),
+          ADD INDEX IF NOT EXISTS idx_camera (camera_make, camera_model),
+          ADD INDEX IF NOT EXISTS idx_iso (iso),
+          ADD INDEX IF NOT EXISTS idx_aperture (aperture),
+          ADD INDEX IF NOT EXISTS idx_location (latitude, longitude)
+      `);
+      if (!hasSettingColumns) {
+        await connection.query(`
+          UPDATE media SET
+            iso = IF(JSON_VALUE(settings, '$.iso') REGEXP '^[0-9]+$', JSON_VALUE(settings, '$.iso'), NULL),
+            aperture = IF(JSON_VALUE(settings, '$.aperture') REGEXP '^[0-9]+([.][0-9]+)?$', JSON_VALUE(settings, '$.aperture'), NULL)
+          WHERE settings IS NOT NULL
+        `);
+      }
+      // Keywords of each photo, one row per keyword so they can be searched
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS media_keywords (
+          media_id INT NOT NULL,
+          keyword VARCHAR(100) NOT NULL,
+
+          PRIMARY KEY (media_id, keyword),
+          INDEX idx_keyword (keyword),
+          FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE CASCADE
+        )
+      `);
+    } finally {
+      connection.release();
+    }
+  }
+
+  _parseMedia(row) {
+    return this._parseJsonColumns(row, ["settings", "dimensions", "variants"]);
+  }
+
+  /**
+   * Insert the row of an object or update it (values from utils/media-record.js toMediaRecord)
+   * @param {Object} record - Media record
+   * @param {Object} options
+   * @param {boolean} options.overwrite - The record is complete (an explicit edit): NULLs and an
+   *   empty keyword list clear the stored values instead of keeping them
+   */
+  async upsertMedia(record, { overwrite = false } = {}) {
+    const columns = {
+      album_id: record.albumId,
+      bucket: record.bucket,
+      object_key: record.objectKey,
+      media_type: record.mediaType,
+      mimetype: record.mimetype,
+      size: record.size,
+      captured_at: record.capturedAt,
+      latitude: record.latitude,
+      longitude: record.longitude,
+      address: record.address,
+      geocode_status: record.geocodeStatus,
+      geocode_provider: record.geocodeProvider,
+      geocode_error: record.geocodeError,
+      camera_make: record.cameraMake,
+      camera_model: record.cameraModel,
+      software: record.software,
+      lens: record.lens,
+      camera_serial: record.cameraSerial,
+      lens_serial: record.lensSerial,
+      title: record.title,
+      caption: record.caption,
+      rating: record.rating,
+      offset_time_original: record.offsetTimeOriginal,
+      content_identifier: record.contentIdentifier,
+      settings: record.settings && JSON.stringify(record.settings),
+      iso: record.iso,
+      aperture: record.aperture,
+      width: record.width,
+      height: record.height,
+      dimensions: record.dimensions && JSON.stringify(record.dimensions),
+      duration: record.duration,
+      content_hash: record.contentHash,
+      original_key: record.originalKey,
+      variants: record.variants && JSON.stringify(record.variants),
+    };
+    const names = Object.keys(columns);
+    // NULLs keep the stored value, so a partial record (e.g. a backfilled entry) loses nothing;
+    // a new geocoding outcome replaces the address, provider and error together
+    const geocodeColumns = ["address", "geocode_provider", "geocode_error"];
+    const updates = names
+      .filter((name) => name !== "bucket" && name !== "object_key")
+      .map((name) => {
+        if (overwrite) return `${name} = VALUES(${name})`;
+        return geocodeColumns.includes(name)
+          ? `${name} = IF(VALUES(geocode_status) IS NULL, COALESCE(VALUES(${name}), ${name}), VALUES(${name}))`
+          : `${name} = COALESCE(VALUES(${name}), ${name})`;
+      });
+    const keywords = overwrite ? record.keywords || [] : record.keywords;
+
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute(
+        `INSERT INTO media (${names.join(", ")}) VALUES (${names.map(() => "?").join(", ")})
+         ON DUPLICATE KEY UPDATE ${updates.join(", ")}`,
+        names.map((name) => columns[name] ?? null)
+      );
+
+      // Keywords found replace the stored ones, like the other columns
+      if (keywords) {
+        const [[{ id }]] = await connection.execute(
+          "SELECT id FROM media WHERE bucket = ? AND object_key = ?",
+          [record.bucket, record.objectKey]
+        );
+        await connection.execute("DELETE FROM media_keywords WHERE media_id = ?", [id]);
+        const unique = [...new Set(keywords.map((keyword) => String(keyword).slice(0, 100)))];
+        if (unique.length > 0) {
+          await connection.query("INSERT IGNORE INTO media_keywords (media_id, keyword) VALUES ?", [
+            unique.map((keyword) => [id, keyword]),
+          ]);
+        }
+      }
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Add the keywords list to media rows
+  async _attachKeywords(connection, rows) {
+    if (rows.length === 0) return rows;
+
+    const [keywordRows] = await connection.query(
+      "SELECT media_id, keyword FROM media_keywords WHERE media_id IN (?) ORDER BY keyword",
+      [rows.map((row) => row.id)]
+    );
+    const keywords = new Map();
+    for (const { media_id: mediaId, keyword } of keywordRows) {
+      keywords.set(mediaId, [...(keywords.get(mediaId) || []), keyword]);
+    }
+    for (const row of rows) row.keywords = keywords.get(row.id) || [];
+    return rows;
+  }
+
+  async getMedia(bucket, objectKey) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [rows] = await connection.execute(
+        "SELECT * FROM media WHERE bucket = ? AND object_key = ?",
+        [bucket, objectKey]
+      );
+      if (!rows[0]) return null;
+      await this._attachKeywords(connection, rows);
+      return this._parseMedia(rows[0]);
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Media of an album in capture order (undated last)
+  async getMediaByAlbum(albumId) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [rows] = await connection.execute(
+        "SELECT * FROM media WHERE album_id = ? ORDER BY captured_at IS NULL, captured_at, id",
+        [albumId]
+      );
+      await this._attachKeywords(connection, rows);
+      return rows.map((row) => this._parseMedia(row));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Search media across albums, one page at a time. Pages follow the sort column and the ID
+   * (keyset pagination), rows without a value for the sort column come last.
+   * @param {Object} filters - Checked and converted by routes/search.js
+   * @param {Object} filters.from - Captured at or after: { at } (UTC DATETIME literal), or { day }
+   *   (YYYY-MM-DD) for the camera's local date
+   * @param {Object} filters.to - Captured before: { at }, or { day } for the local day that ends the range
+   * @param {string} filters.make - Camera make
+   * @param {string} filters.model - Part of the camera model
+   * @param {string} filters.lens - Part of the lens name
+   * @param {number} filters.isoMin / filters.isoMax - ISO range
+   * @param {number} filters.apertureMin / filters.apertureMax - f-number range
+   * @param {string} filters.address - Part of the address
+   * @param {string[]} filters.keywords - Keywords the photo must all have
+   * @param {string} filters.album - Album name
+   * @param {Object} filters.bbox - { west, south, east, north }, west > east crosses the antimeridian
+   * @param {Object} options - Page options
+   * @param {string} options.sort - "captured" (capture time) or "uploaded"
+   * @param {string} options.order - "asc" or "desc"
+   * @param {Object} options.after - { value, id } of the last row of the previous page
+   * @param {number} options.limit - Rows to return
+   * @returns {Array} Media rows with their keywords and album_name
+   */
+  async searchMedia(filters = {}, { sort = "captured", order = "desc", after = null, limit = 50 } = {}) {
+    const column = SEARCH_SORT_COLUMNS[sort];
+    if (!column) throw new Error(`Unknown sort: ${sort}`);
+    const descending = order === "desc";
+    const contains = (value) => `%${value.replace(/[\\%_]/g, "\\$&")}%`;
+
+    const conditions = [];
+    const params = [];
+    const where = (condition, ...values) => {
+      conditions.push(condition);
+      params.push(...values);
+    };
+
+    // Local days go through the indexed column first, widened by the largest time zone offset
+    const dayStart = (day, margin) => toSqlDateTime(new Date(Date.parse(`${day}T00:00:00Z`) + margin));
+    if (filters.from?.day) {
+      const { day } = filters.from;
+      where(`m.captured_at >= ? AND ${CAPTURED_LOCAL} >= ?`, dayStart(day, -TIME_ZONE_MARGIN), dayStart(day, 0));
+    } else if (filters.from) {
+      where("m.captured_at >= ?", filters.from.at);
+    }
+    if (filters.to?.day) {
+      const { day } = filters.to;
+      where(`m.captured_at < ? AND ${CAPTURED_LOCAL} < ?`, dayStart(day, TIME_ZONE_MARGIN), dayStart(day, 0));
+    } else if (filters.to) {
+      where("m.captured_at < ?", filters.to.at);
+    }
+    if (filters.make) where("m.camera_make = ?", filters.make);
+    if (filters.model) where("m.camera_model LIKE ?", contains(filters.model));
+    if (filters.lens) where("m.lens LIKE ?", contains(filters.lens));
+    if (filters.isoMin !== undefined) where("m.iso >= ?", filters.isoMin);
+    if (filters.isoMax !== undefined) where("m.iso <= ?", filters.isoMax);
+    if (filters.apertureMin !== undefined) where("m.aperture >= ?", filters.apertureMin);
+    if (filters.apertureMax !== undefined) where("m.aperture <= ?", filters.apertureMax);
+    if (filters.address) where("m.address LIKE ?", contains(filters.address));
+    if (filters.album) where("a.name = ?", filters.album);
+    for (const keyword of filters.keywords || []) {
+      where("EXISTS (SELECT 1 FROM media_keywords k WHERE k.media_id = m.id AND k.keyword = ?)", keyword);
+    }
+    if (filters.bbox) {
+      const { west, south, east, north } = filters.bbox;
+      where("m.latitude BETWEEN ? AND ?", south, north);
+      if (west <= east) where("m.longitude BETWEEN ? AND ?", west, east);
+      else where("(m.longitude >= ? OR m.longitude <= ?)", west, east);
+    }
+
+    if (after) {
+      const beyond = descending ? "<" : ">";
+      if (after.value === null) {
+        where(`(${column} IS NULL AND m.id ${beyond} ?)`, after.id);
+      } else {
+        where(
+          `(${column} IS NULL OR ${column} ${beyond} ? OR (${column} = ? AND m.id ${beyond} ?))`,
+          after.value,
+          after.value,
+          after.id
+        );
+      }
+    }
+
+    const direction = descending ? "DESC" : "ASC";
+    const connection = await this.pool.getConnection();
+    try {
+      const [rows] = await connection.query(
+        `SELECT m.*, a.name AS album_name FROM media m
+         LEFT JOIN albums a ON a.id = m.album_id
+         ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+         ORDER BY ${column} IS NULL, ${column} ${direction}, m.id ${direction}
+         LIMIT ?`,
+        [...params, limit]
+      );
+      await this._attachKeywords(connection, rows);
+      return rows.map((row) => this._parseMedia(row));
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Number of photos per day of the timeline, newest first; undated counts those shown at their upload date
+  async getTimelineCounts() {
+    const connection = await this.pool.getConnection();
+    try {
+      const [rows] = await connection.query(
+        `SELECT YEAR(t.date) AS year, MONTH(t.date) AS month, DAY(t.date) AS day,
+                COUNT(*) AS count, SUM(t.undated) AS undated
+         FROM (SELECT ${TIMELINE_DATE} AS date, m.captured_at IS NULL AS undated FROM media m) t
+         GROUP BY year, month, day
+         ORDER BY year DESC, month DESC, day DESC`
+      );
+      return rows.map((row) => ({ ...row, count: Number(row.count), undated: Number(row.undated) }));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Media shown on the timeline between two dates, newest first
+   * @param {Date} start - First day (UTC midnight)
+   * @param {Date} end - Day after the last one (UTC midnight)
+   * @returns {Array} Media rows with their keywords, album_name and timeline_date (YYYY-MM-DD)
+   */
+  async getTimelineMedia(start, end) {
+    // The indexed columns are narrowed first, with a margin for time zones
+    const widenedStart = toSqlDateTime(new Date(start.getTime() - TIME_ZONE_MARGIN));
+    const widenedEnd = toSqlDateTime(new Date(end.getTime() + TIME_ZONE_MARGIN));
+
+    const connection = await this.pool.getConnection();
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM (
+           SELECT m.*, a.name AS album_name, ${TIMELINE_DATE} AS timeline_at FROM media m
+           LEFT JOIN albums a ON a.id = m.album_id
+           WHERE (m.captured_at >= ? AND m.captured_at < ?)
+              OR (m.captured_at IS NULL AND m.created_at >= ? AND m.created_at < ?)
+         ) t
+         WHERE t.timeline_at >= ? AND t.timeline_at < ?
+         ORDER BY t.timeline_at DESC, t.id DESC`,
+        [widenedStart, widenedEnd, widenedStart, widenedEnd, toSqlDateTime(start), toSqlDateTime(end)]
+      );
+      await this._attachKeywords(connection, rows);
+      return rows.map((row) => {
+        const { timeline_at: timelineAt, ...media } = this._parseMedia(row);
+        return { ...media, timeline_date: fromSqlDateTime(timelineAt).slice(0, 10) };
+      });
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Content hash -> object key, for one album or (albumId null) the whole library
+  async getMediaHashes(bucket, albumId = null) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [rows] = await connection.execute(
+        `SELECT content_hash, object_key FROM media
+         WHERE bucket = ? AND content_hash IS NOT NULL ${albumId === null ? "" : "AND album_id = ?"}
+         ORDER BY id`,
+        albumId === null ? [bucket] : [bucket, albumId]
+      );
+      return rows;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async deleteMedia(bucket, objectKey) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [result] = await connection.execute(
+        "DELETE FROM media WHERE bucket = ? AND object_key = ?",
+        [bucket, objectKey]
+      );
+      return result.affectedRows > 0;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // ========================= GEOCODE CACHE METHODS =========================
+
+  // Addresses found (or not) for rounded coordinates, per geocoder provider
+  async initializeGeocodeTables() {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS geocode_cache (
+          provider VARCHAR(30) NOT NULL,
+          latitude DECIMAL(9,6) NOT NULL,
+          longitude DECIMAL(9,6) NOT NULL,
+          status ENUM('found', 'not_found') NOT NULL,
+          address VARCHAR(512) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          PRIMARY KEY (provider, latitude, longitude)
+        )
+      `);
+    } finally {
+      connection.release();
+    }
+  }
+
+  async getGeocodeCache(provider, latitude, longitude) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [rows] = await connection.execute(
+        "SELECT * FROM geocode_cache WHERE provider = ? AND latitude = ? AND longitude = ?",
+        [provider, latitude, longitude]
+      );
+      return rows[0] || null;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async saveGeocodeCache({ provider, latitude, longitude, status, address }) {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.execute(
+        `INSERT INTO geocode_cache (provider, latitude, longitude, status, address) VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE status = VALUES(status), address = VALUES(address), updated_at = CURRENT_TIMESTAMP`,
+        [provider, latitude, longitude, status, address]
+      );
+    } finally {
+      connection.release();
+    }
+  }
+
+  // ========================= WEBHOOK METHODS =========================
+
+  // Registered webhook endpoints and the log of what was sent to them
+  async initializeWebhookTables() {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS webhooks (
+          id CHAR(36) PRIMARY KEY,
+          url VARCHAR(2048) NOT NULL,
+          secret VARCHAR(255) NOT NULL,
+          events JSON NOT NULL,
+          description VARCHAR(255) NULL,
+          active BOOLEAN NOT NULL DEFAULT TRUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+      `);
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+          id CHAR(36) PRIMARY KEY,
+          webhook_id CHAR(36) NOT NULL,
+          event VARCHAR(50) NOT NULL,
+          payload JSON NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          attempts INT NOT NULL DEFAULT 0,
+          response_status INT NULL,
+          error TEXT NULL,
+          next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          delivered_at TIMESTAMP NULL,
+
+          INDEX idx_status_next_attempt (status, next_attempt_at),
+          INDEX idx_webhook (webhook_id, created_at),
+          FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+        )
+      `);
+    } finally {
+      connection.release();
+    }
+  }
+
+  // The JSON columns come back as strings on MariaDB
+  _parseJsonColumns(row, columns) {
+    const parsed = { ...row };
+    for (const column of columns) {
+      if (typeof parsed[column] === "string") parsed[column] = JSON.parse(parsed[column]);
+    }
+    return parsed;
+  }
+
+  async createWebhook({ id, url, secret, events, description = null, active = true }) {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.execute(
+        "INSERT INTO webhooks (id, url, secret, events, description, active) VALUES (?, ?, ?, ?, ?, ?)",
+        [id, url, secret, JSON.stringify(events), description, active]
+      );
+      return id;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async getWebhook(id) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [rows] = await connection.execute("SELECT * FROM webhooks WHERE id = ?", [id]);
+      return rows[0] ? this._parseJsonColumns(rows[0], ["events"]) : null;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async getWebhooks({ activeOnly = false } = {}) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM webhooks ${activeOnly ? "WHERE active = TRUE" : ""} ORDER BY created_at ASC`
+      );
+      return rows.map((row) => this._parseJsonColumns(row, ["events"]));
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Only the given fields are changed
+  async updateWebhook(id, { url, secret, events, description, active }) {
+    const fields = { url, secret, description, active, events: events && JSON.stringify(events) };
+    const columns = Object.keys(fields).filter((column) => fields[column] !== undefined);
+    if (columns.length === 0) return false;
+
+    const connection = await this.pool.getConnection();
+    try {
+      const [result] = await connection.execute(
+        `UPDATE webhooks SET ${columns.map((column) => `${column} = ?`).join(", ")} WHERE id = ?`,
+        [...columns.map((column) => fields[column]), id]
+      );
+      return result.affectedRows > 0;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Its deliveries are removed with it
+  async deleteWebhook(id) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [result] = await connection.execute("DELETE FROM webhooks WHERE id = ?", [id]);
+      return result.affectedRows > 0;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async createWebhookDelivery({ id, webhookId, event, payload }) {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.execute(
+        "INSERT INTO webhook_deliveries (id, webhook_id, event, payload) VALUES (?, ?, ?, ?)",
+        [id, webhookId, event, JSON.stringify(payload)]
+      );
+      return id;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async getWebhookDelivery(id) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [rows] = await connection.execute("SELECT * FROM webhook_deliveries WHERE id = ?", [id]);
+      return rows[0] ? this._parseJsonColumns(rows[0], ["payload"]) : null;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Delivery log of a webhook, newest first, optionally filtered by status
+  async getWebhookDeliveries(webhookId, { status = null, limit = 100 } = {}) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM webhook_deliveries
+         WHERE webhook_id = ? ${status ? "AND status = ?" : ""}
+         ORDER BY created_at DESC
+         LIMIT ?`,
+        status ? [webhookId, status, limit] : [webhookId, limit]
+      );
+      return rows.map((row) => this._parseJsonColumns(row, ["payload"]));
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Pending deliveries whose (next) attempt is due, oldest first
+  async getDueWebhookDeliveries(limit = 20) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+         ORDER BY next_attempt_at ASC
+         LIMIT ?`,
+        [limit]
+      );
+      return rows.map((row) => this._parseJsonColumns(row, ["payload"]));
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Take a pending delivery for sending; false if another worker got it first
+  async claimWebhookDelivery(id) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [result] = await connection.execute(
+        "UPDATE webhook_deliveries SET status = 'delivering' WHERE id = ? AND status = 'pending'",
+        [id]
+      );
+      return result.affectedRows > 0;
+    } finally {
+      connection.release();
+    }
+  }
+
+  async completeWebhookDelivery(id, { responseStatus }) {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.execute(
+        `UPDATE webhook_deliveries
+         SET status = 'delivered', attempts = attempts + 1, response_status = ?, error = NULL, delivered_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [responseStatus, id]
+      );
+    } finally {
+      connection.release();
+    }
+  }
+
+  // status 'pending' schedules another attempt after retryAfterMs, 'failed' gives up
+  async failWebhookDelivery(id, { status = "pending", responseStatus = null, error = null, retryAfterMs = 0 }) {
+    const connection = await this.pool.getConnection();
+    try {
+      await connection.execute(
+        `UPDATE webhook_deliveries
+         SET status = ?, attempts = attempts + 1, response_status = ?, error = ?,
+             next_attempt_at = CURRENT_TIMESTAMP + INTERVAL ? SECOND
+         WHERE id = ?`,
+        [status, responseStatus, error, Math.ceil(retryAfterMs / 1000), id]
+      );
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Send a delivery again now (admin redelivery), whatever its outcome was
+  async redeliverWebhookDelivery(id) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [result] = await connection.execute(
+        `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status <> 'delivering'`,
+        [id]
+      );
+      return result.affectedRows > 0;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Deliveries left 'delivering' by a process that died are sent again
+  async requeueInterruptedDeliveries(staleAfterMs) {
+    const connection = await this.pool.getConnection();
+    try {
+      const [result] = await connection.execute(
+        "UPDATE webhook_deliveries SET status = 'pending' WHERE status = 'delivering' AND updated_at < NOW() - INTERVAL ? SECOND",
+        [Math.ceil(staleAfterMs / 1000)]
+      );
+      return result.affectedRows;
+    } finally {
+      connection.release();
+    }
+  }
+
   // Close database connection
   async close() {
     if (this.pool) {
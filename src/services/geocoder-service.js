@@ -0,0 +1,175 @@
+// services/geocoder-service.js - Reverse geocoding of photo coordinates, with a persistent cache
+//
+// Every provider implements the same interface:
+//   name
+//   local - true when lookups need no network (their answers are not cached)
+//   reverse(latitude, longitude) -> address string, or null when the place has none
+//     (throws when the lookup itself failed)
+const debug = require("debug");
+const debugGps = debug("photovault:metadata:gps");
+const config = require("../config"); // defaults to ./config/index.js
+const database = require("./database-service");
+
+const PROVIDERS = {
+  mapbox: () => require("./mapbox-geocoder-service"),
+  // nominatim.openstreetmap.org or any Nominatim-compatible server
+  nominatim: () => require("./nominatim-geocoder-service"),
+  // Offline, from a GeoNames dump on disk
+  geonames: () => require("./geonames-geocoder-service"),
+  none: () => NoopGeocoder,
+};
+
+/**
+ * Outcome of a lookup, stored with the photo instead of an address string:
+ *   found     - address is set
+ *   not_found - the provider has no address for the place
+ *   failed    - the lookup failed (error says why), it can be retried later
+ *   disabled  - no provider is configured
+ */
+const GEOCODE_STATUSES = ["found", "not_found", "failed", "disabled"];
+
+// Provider used when geocoding is turned off
+class NoopGeocoder {
+  constructor() {
+    this.name = "none";
+    this.local = true;
+  }
+
+  async reverse() {
+    return null;
+  }
+}
+
+// Lookups in flight, so photos taken at the same place ask the provider once
+const pendingLookups = new Map();
+
+/**
+ * Create the provider selected by config.geocoder.provider
+ * @param {string} provider - Provider name (mapbox, nominatim, geonames or none)
+ * @returns {Object} Provider instance
+ */
+function createGeocoder(provider = config.geocoder.provider) {
+  const loadProvider = PROVIDERS[provider];
+  if (!loadProvider) {
+    throw new Error(`Unknown geocoder provider "${provider}", expected one of: ${Object.keys(PROVIDERS).join(", ")}`);
+  }
+
+  const Geocoder = loadProvider();
+  return new Geocoder();
+}
+
+// "lat,lng" or { latitude, longitude } -> numbers, null when not a valid position
+function parseCoordinates(coordinates) {
+  const [latitude, longitude] =
+    typeof coordinates === "string"
+      ? coordinates.split(",").map((part) => Number(part.trim()))
+      : [Number(coordinates?.latitude), Number(coordinates?.longitude)];
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { latitude, longitude };
+}
+
+/**
+ * Geocoder Service - turns coordinates into an address with the configured provider
+ *
+ * Answers (found and not found) of network providers are kept in the geocode_cache table, keyed
+ * by provider and coordinates rounded to config.geocoder.cachePrecision decimals; failures are
+ * not cached.
+ * The cache is best effort: when the database is unreachable the provider is asked directly.
+ */
+class GeocoderService {
+  /**
+   * @param {Object} provider - Geocoder provider (defaults to config.geocoder.provider)
+   * @param {Object} options - { cachePrecision, notFoundTtl } (defaults to config.geocoder)
+   */
+  constructor(provider = createGeocoder(), options = config.geocoder) {
+    this.provider = provider;
+    this.cachePrecision = options.cachePrecision;
+    this.notFoundTtl = options.notFoundTtl;
+  }
+
+  /**
+   * Round coordinates to the cache precision
+   * @param {number} latitude - Latitude in decimal degrees
+   * @param {number} longitude - Longitude in decimal degrees
+   * @returns {Object} { latitude, longitude }
+   */
+  roundCoordinates(latitude, longitude) {
+    const factor = 10 ** this.cachePrecision;
+    return {
+      latitude: Math.round(latitude * factor) / factor,
+      longitude: Math.round(longitude * factor) / factor,
+    };
+  }
+
+  async _readCache(key) {
+    try {
+      const cached = await database.getGeocodeCache(this.provider.name, key.latitude, key.longitude);
+      if (!cached) return null;
+      // A place without an address may get one later
+      if (cached.status === "not_found" && Date.now() - new Date(cached.updated_at).getTime() > this.notFoundTtl) {
+        return null;
+      }
+      return cached;
+    } catch (error) {
+      debugGps(`[geocoder-service.js] Cache read failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async _writeCache(key, status, address) {
+    try {
+      await database.saveGeocodeCache({ provider: this.provider.name, ...key, status, address });
+    } catch (error) {
+      debugGps(`[geocoder-service.js] Cache write failed: ${error.message}`);
+    }
+  }
+
+  async _lookup(key) {
+    const cached = this.provider.local ? null : await this._readCache(key);
+    if (cached) {
+      return { status: cached.status, address: cached.address, provider: this.provider.name, error: null, cached: true };
+    }
+
+    try {
+      const address = await this.provider.reverse(key.latitude, key.longitude);
+      const status = address ? "found" : "not_found";
+      if (!this.provider.local) await this._writeCache(key, status, address || null);
+      return { status, address: address || null, provider: this.provider.name, error: null, cached: false };
+    } catch (error) {
+      debugGps(`[geocoder-service.js] ${this.provider.name} lookup of ${key.latitude},${key.longitude} failed: ${error.message}`);
+      return { status: "failed", address: null, provider: this.provider.name, error: error.message, cached: false };
+    }
+  }
+
+  /**
+   * Find the address of a place
+   * @param {string|Object} coordinates - "lat,lng" or { latitude, longitude }
+   * @returns {Object|null} { status, address, provider, error, cached } (see GEOCODE_STATUSES),
+   *   null when the coordinates are missing or invalid
+   */
+  async reverse(coordinates) {
+    const position = parseCoordinates(coordinates);
+    if (!position) return null;
+
+    if (this.provider.name === "none") {
+      return { status: "disabled", address: null, provider: null, error: null, cached: false };
+    }
+
+    const key = this.roundCoordinates(position.latitude, position.longitude);
+    const lookupKey = `${this.provider.name}:${key.latitude},${key.longitude}`;
+    if (!pendingLookups.has(lookupKey)) {
+      pendingLookups.set(
+        lookupKey,
+        this._lookup(key).finally(() => pendingLookups.delete(lookupKey))
+      );
+    }
+    return pendingLookups.get(lookupKey);
+  }
+}
+
+GeocoderService.STATUSES = GEOCODE_STATUSES;
+GeocoderService.createGeocoder = createGeocoder;
+
+module.exports = GeocoderService;
@@ -0,0 +1,105 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const debug = require("debug");
+const debugGps = debug("photovault:metadata:gps");
+const config = require("../config"); // defaults to ./config/index.js
+const KdTree = require("../utils/kd-tree");
+
+// Loaded indexes per dataset directory, shared by every instance (a dataset is read once)
+const indexes = new Map();
+
+// Read a tab-separated GeoNames file line by line, skipping comments
+async function readRows(filePath, onRow) {
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line && !line.startsWith("#")) onRow(line.split("\t"));
+  }
+}
+
+// Load cities (citiesXXX.txt), region names (admin1CodesASCII.txt) and country names (countryInfo.txt)
+async function loadIndex(directory, citiesFile) {
+  const started = Date.now();
+
+  const countries = new Map();
+  await readRows(path.join(directory, "countryInfo.txt"), (columns) => {
+    countries.set(columns[0], columns[4]); // ISO code -> name
+  });
+
+  const regions = new Map();
+  await readRows(path.join(directory, "admin1CodesASCII.txt"), (columns) => {
+    regions.set(columns[0], columns[1]); // "CC.admin1" -> name
+  });
+
+  const cities = [];
+  await readRows(path.join(directory, citiesFile), (columns) => {
+    const latitude = Number(columns[4]);
+    const longitude = Number(columns[5]);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return;
+    cities.push({
+      name: columns[1],
+      latitude,
+      longitude,
+      countryCode: columns[8],
+      regionCode: columns[10],
+    });
+  });
+
+  const tree = new KdTree(cities);
+  debugGps(`[geonames-geocoder-service.js] Indexed ${tree.size} places from ${citiesFile} in ${Date.now() - started}ms`);
+  return { tree, regions, countries };
+}
+
+/**
+ * GeoNames Geocoder - offline reverse geocoding from a GeoNames dump on disk
+ *
+ * Resolves coordinates to the nearest populated place of the dataset (city, region, country),
+ * without any network access. The dataset directory must hold countryInfo.txt,
+ * admin1CodesASCII.txt and a cities file (cities15000.txt, cities5000.txt, ...) from
+ * https://download.geonames.org/export/dump/; the Docker image bundles them.
+ */
+class GeonamesGeocoderService {
+  constructor() {
+    this.name = "geonames";
+    // Lookups are in memory, caching them in the database would only be slower
+    this.local = true;
+    this.directory = config.geocoder.geonames.dir;
+    this.citiesFile = config.geocoder.geonames.citiesFile;
+    this.maxDistance = config.geocoder.geonames.maxDistance;
+  }
+
+  /**
+   * Load the dataset (once per process), e.g. at startup instead of on the first photo
+   * @returns {Object} { tree, regions, countries }
+   */
+  load() {
+    const key = path.join(this.directory, this.citiesFile);
+    if (!indexes.has(key)) {
+      const loading = loadIndex(this.directory, this.citiesFile).catch((error) => {
+        indexes.delete(key); // Try again on the next lookup, the files may be mounted later
+        throw new Error(`GeoNames dataset could not be loaded from ${this.directory}: ${error.message}`);
+      });
+      indexes.set(key, loading);
+    }
+    return indexes.get(key);
+  }
+
+  /**
+   * Find the nearest place
+   * @param {number} latitude - Latitude in decimal degrees
+   * @param {number} longitude - Longitude in decimal degrees
+   * @returns {string|null} "City, Region, Country", or null when no place is within maxDistance km
+   */
+  async reverse(latitude, longitude) {
+    const { tree, regions, countries } = await this.load();
+    const nearest = tree.nearest(latitude, longitude);
+    if (!nearest || nearest.distanceKm > this.maxDistance) return null;
+
+    const { name, countryCode, regionCode } = nearest.item;
+    const region = regions.get(`${countryCode}.${regionCode}`);
+    const country = countries.get(countryCode) || countryCode;
+    return [name, region !== name ? region : null, country].filter(Boolean).join(", ");
+  }
+}
+
+module.exports = GeonamesGeocoderService;
@@ -0,0 +1,165 @@
+const debug = require("debug");
+const debugSSE = debug("photovault:server:sse");
+const config = require("../config"); // defaults to ./config/index.js
+
+// Events after which a job sends nothing more
+const TERMINAL_EVENTS = new Set(["complete", "cancelled"]);
+
+/**
+ * Job Events Service - Server-Sent Events for upload jobs
+ *
+ * Every job keeps a bounded log of numbered events, so a browser that subscribes late
+ * or reconnects (sending Last-Event-ID) gets the history it missed. Any number of
+ * clients can watch the same job.
+ */
+class JobEventsService {
+  constructor(options = config.sse) {
+    this.maxEventsPerJob = options.maxEventsPerJob;
+    this.retention = options.connectionTimeout;
+    this.jobs = new Map(); // jobId -> { events, nextId, clients, finished, cleanupTimer }
+
+    this.heartbeatTimer = setInterval(() => this._sendHeartbeats(), options.heartbeatInterval);
+    this.heartbeatTimer.unref();
+  }
+
+  _getJob(jobId) {
+    let job = this.jobs.get(jobId);
+    if (!job) {
+      job = { events: [], nextId: 1, clients: new Set(), finished: false, cleanupTimer: null };
+      this.jobs.set(jobId, job);
+    }
+    return job;
+  }
+
+  _write(res, chunk) {
+    try {
+      res.write(chunk);
+      return true;
+    } catch (error) {
+      debugSSE(`[job-events-service.js] Write failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  _format(event) {
+    return `id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`;
+  }
+
+  /**
+   * Record an event for a job and send it to every connected client
+   * @param {string} jobId - Job ID
+   * @param {string} eventType - Event type (e.g. "file-uploaded", "complete")
+   * @param {Object} data - Event payload
+   */
+  publish(jobId, eventType, data = {}) {
+    const job = this._getJob(jobId);
+    if (job.finished) return;
+
+    const event = {
+      id: job.nextId++,
+      data: {
+        type: eventType,
+        timestamp: new Date().toISOString(),
+        ...data,
+      },
+    };
+
+    job.events.push(event);
+    if (job.events.length > this.maxEventsPerJob) {
+      job.events.shift();
+    }
+
+    const message = this._format(event);
+    for (const res of job.clients) {
+      if (!this._write(res, message)) {
+        job.clients.delete(res);
+      }
+    }
+
+    if (TERMINAL_EVENTS.has(eventType)) {
+      this._finish(jobId, job);
+    }
+  }
+
+  /**
+   * Attach an SSE client to a job and replay the events it has not seen yet
+   * @param {string} jobId - Job ID
+   * @param {Object} req - Express request (Last-Event-ID is read from it)
+   * @param {Object} res - Express response used as the event stream
+   */
+  subscribe(jobId, req, res) {
+    const job = this._getJob(jobId);
+    const lastEventId = parseInt(req.headers["last-event-id"] ?? req.query.lastEventId, 10) || 0;
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "Access-Control-Allow-Origin": "*",
+      "Transfer-Encoding": "chunked",
+      "Access-Control-Allow-Headers": "Cache-Control, Last-Event-ID",
+    });
+
+    // Connection confirmation carries no id, so it never moves the client's Last-Event-ID
+    this._write(res, `data: ${JSON.stringify({
+      type: "connected",
+      jobId,
+      message: "SSE connection established",
+      lastEventId,
+    })}\n\n`);
+
+    const missed = job.events.filter((event) => event.id > lastEventId);
+    for (const event of missed) {
+      this._write(res, this._format(event));
+    }
+    debugSSE(`[job-events-service.js] Client subscribed to job ${jobId}, replayed ${missed.length} event(s)`);
+
+    if (job.finished) {
+      res.end();
+      return;
+    }
+
+    job.clients.add(res);
+
+    const unsubscribe = () => {
+      job.clients.delete(res);
+      // Forget jobs nobody is watching and nothing was ever sent for (e.g. a mistyped job ID)
+      if (job.clients.size === 0 && job.events.length === 0 && this.jobs.get(jobId) === job) {
+        this.jobs.delete(jobId);
+      }
+    };
+    req.on("close", unsubscribe);
+    req.on("error", unsubscribe);
+  }
+
+  // Close all clients of a finished job and keep its log around for late subscribers
+  _finish(jobId, job) {
+    job.finished = true;
+    for (const res of job.clients) {
+      try {
+        res.end();
+      } catch (error) {
+        // Client already gone
+      }
+    }
+    job.clients.clear();
+
+    job.cleanupTimer = setTimeout(() => {
+      this.jobs.delete(jobId);
+    }, this.retention);
+    job.cleanupTimer.unref();
+  }
+
+  // SSE comments keep proxies from closing idle streams
+  _sendHeartbeats() {
+    for (const job of this.jobs.values()) {
+      for (const res of job.clients) {
+        if (!this._write(res, `: heartbeat ${Date.now()}\n\n`)) {
+          job.clients.delete(res);
+        }
+      }
+    }
+  }
+}
+
+module.exports = JobEventsService;
@@ -0,0 +1,45 @@
+const config = require("../config"); // defaults to ./config/index.js
+
+// Build an error carrying the HTTP status of a failed request
+function geocoderError(message, status = null) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Mapbox Geocoder - reverse geocoding with the Mapbox Geocoding API (v5)
+ */
+class MapboxGeocoderService {
+  constructor() {
+    this.name = "mapbox";
+    this.token = config.geocoder.mapbox.token;
+    this.timeout = config.geocoder.timeout;
+  }
+
+  /**
+   * Find the address of a place
+   * @param {number} latitude - Latitude in decimal degrees
+   * @param {number} longitude - Longitude in decimal degrees
+   * @returns {string|null} Address, or null when Mapbox knows none
+   */
+  async reverse(latitude, longitude) {
+    if (!this.token) {
+      throw geocoderError("MAPBOX_TOKEN is not configured");
+    }
+
+    const url =
+      `https://api.mapbox.com/geocoding/v5/mapbox.places/${longitude},${latitude}.json` +
+      `?access_token=${encodeURIComponent(this.token)}&types=address,poi,place`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(this.timeout) });
+    if (!response.ok) {
+      throw geocoderError(`Mapbox answered ${response.status} ${response.statusText}`, response.status);
+    }
+
+    const data = await response.json();
+    const feature = data.features?.[0];
+    return feature?.place_name || feature?.text || null;
+  }
+}
+
+module.exports = MapboxGeocoderService;
@@ -0,0 +1,226 @@
+const fs = require("fs");
+const path = require("path");
+const debug = require("debug");
+const debugMetadata = debug("photovault:metadata");
+const config = require("../config"); // defaults to ./config/index.js
+const database = require("./database-service");
+const MetadataService = require("./metadata-service");
+const GeocoderService = require("./geocoder-service");
+const { toMediaRecord, toMetadataEntry } = require("../utils/media-record");
+
+// Fields compared to report what a refresh changes (keys of toMediaRecord)
+const COMPARED_FIELDS = [
+  "capturedAt",
+  "latitude",
+  "longitude",
+  "address",
+  "geocodeStatus",
+  "cameraMake",
+  "cameraModel",
+  "software",
+  "lens",
+  "cameraSerial",
+  "lensSerial",
+  "title",
+  "caption",
+  "keywords",
+  "rating",
+  "offsetTimeOriginal",
+  "contentIdentifier",
+  "settings",
+  "width",
+  "height",
+  "dimensions",
+  "duration",
+];
+
+// What extraction reports for a value it did not find; the stored value is kept then
+const MISSING_VALUES = ["not found", "not captured"];
+
+// Coordinates are stored with 6 decimals, compare at that precision
+const COORDINATE_FIELDS = ["latitude", "longitude"];
+const comparable = (field, value) =>
+  COORDINATE_FIELDS.includes(field) && value !== null ? Number(value).toFixed(6) : JSON.stringify(value);
+
+// Fields of a record that differ from the stored one; missing (null) values never replace stored ones
+function diffRecords(before, after) {
+  const changes = {};
+  for (const field of COMPARED_FIELDS) {
+    if (after[field] === null) continue;
+    if (comparable(field, after[field]) !== comparable(field, before[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Metadata Refresh Service - re-extracts the metadata of photos already in the library
+ *
+ * Walks the media rows of an album (or of every album), reads EXIF again from the archived
+ * original when there is one (the stored AVIF may have lost some of it) or from the stored
+ * object, and looks up addresses that are missing or failed. Addresses already found are kept.
+ * Values the new extraction does not find never erase stored ones.
+ */
+class MetadataRefreshService {
+  /**
+   * @param {Object} minioClient - MinIO client
+   * @param {Object} webhookService - WebhookService notified of changed photos (optional)
+   */
+  constructor(minioClient, webhookService = null) {
+    this.minioClient = minioClient;
+    this.webhookService = webhookService;
+    // Extraction without geocoding, addresses are only looked up when they are missing
+    this.extractor = new MetadataService(minioClient, new GeocoderService(GeocoderService.createGeocoder("none")));
+    this.metadataService = new MetadataService(minioClient);
+    this.running = null; // { album, dryRun, startedAt } of the refresh in progress
+  }
+
+  // Download the source of a media row and extract its metadata
+  async _extract(media) {
+    const fromOriginal = Boolean(media.original_key);
+    const bucket = fromOriginal ? config.upload.originals.bucket : media.bucket;
+    const objectName = fromOriginal ? media.original_key : media.object_key;
+    const tempPath = path.join(
+      config.upload.incomingDir,
+      `refresh-${media.id}-${Date.now()}${path.extname(objectName)}`
+    );
+
+    try {
+      await fs.promises.mkdir(config.upload.incomingDir, { recursive: true });
+      await this.minioClient.fGetObject(bucket, objectName, tempPath);
+
+      const filename = path.posix.basename(objectName);
+      return media.media_type === "video"
+        ? await this.extractor.extractVideoMetadata(tempPath, filename)
+        : await this.extractor.extractEssentialMetadata(tempPath, filename);
+    } finally {
+      await fs.promises.rm(tempPath, { force: true });
+    }
+  }
+
+  /**
+   * Refresh one photo or video
+   * @param {Object} media - Row of the media table
+   * @param {Object} options - Refresh options
+   * @param {boolean} options.dryRun - Only report what would change
+   * @param {boolean} options.geocodeOnly - Keep the stored EXIF values, only look up missing addresses
+   * @returns {Object} { objectKey, changes } (changes: field -> { from, to })
+   */
+  async refreshMedia(media, { dryRun = false, geocodeOnly = false } = {}) {
+    const current = toMetadataEntry(media);
+    const entry = { ...current };
+    if (!geocodeOnly) {
+      const { sourceImage, address, geocoding, ...extracted } = await this._extract(media);
+      for (const [field, value] of Object.entries(extracted)) {
+        if (!MISSING_VALUES.includes(value)) entry[field] = value;
+      }
+    }
+
+    const context = { bucket: media.bucket, objectKey: media.object_key, albumId: media.album_id };
+    const before = toMediaRecord(current, context);
+    const extracted = toMediaRecord(entry, context);
+
+    // Keep the address unless it was never found or the photo moved
+    const moved = COORDINATE_FIELDS.some(
+      (field) => extracted[field] !== null && comparable(field, extracted[field]) !== comparable(field, before[field])
+    );
+    if (media.geocode_status === "found" && media.address && !moved) {
+      entry.address = media.address;
+      entry.geocoding = current.geocoding;
+    } else {
+      const geocoding = await this.metadataService.getAddressFromCoordinates(entry.coordinates);
+      entry.address = geocoding?.address ?? "not found";
+      entry.geocoding = geocoding
+        ? { status: geocoding.status, provider: geocoding.provider, error: geocoding.error }
+        : undefined;
+    }
+    delete entry.location;
+
+    const record = toMediaRecord(entry, context);
+    const changes = diffRecords(before, record);
+    if (dryRun || Object.keys(changes).length === 0) {
+      return { objectKey: media.object_key, changes };
+    }
+
+    await database.upsertMedia(record);
+    if (config.media.albumJsonExport) {
+      const updated = toMetadataEntry(await database.getMedia(media.bucket, media.object_key));
+      await this.metadataService.updateFolderMetadata(media.bucket, media.object_key, {
+        ...updated,
+        address: updated.location,
+      });
+    }
+
+    this.webhookService?.emit("metadata.updated", {
+      bucket: media.bucket,
+      folderPath: path.posix.dirname(media.object_key),
+      objectName: media.object_key,
+      changes: Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to])),
+    });
+    return { objectKey: media.object_key, changes };
+  }
+
+  /**
+   * Refresh every photo and video of an album, or of the whole library
+   * @param {Object} options - Refresh options
+   * @param {string} options.album - Album name (every album when empty)
+   * @param {boolean} options.dryRun - Only report what would change
+   * @param {boolean} options.geocodeOnly - Keep the stored EXIF values, only look up missing addresses
+   * @param {AbortSignal} options.signal - Stops before the next file
+   * @param {Function} options.onProgress - (eventType, data) for album-started, file-refreshed, file-failed
+   * @returns {Object} { albums, total, changed, unchanged, failed, dryRun }
+   */
+  async refresh({ album = null, dryRun = false, geocodeOnly = false, signal, onProgress = () => {} } = {}) {
+    let albums = await database.getAllAlbums();
+    if (album) {
+      albums = albums.filter((candidate) => candidate.name === album);
+      if (albums.length === 0) {
+        const error = new Error(`Album "${album}" not found`);
+        error.status = 404;
+        throw error;
+      }
+    }
+
+    const totals = { albums: albums.length, total: 0, changed: 0, unchanged: 0, failed: 0, dryRun };
+    for (const { path: albumPath } of albums) {
+      // getAllAlbums does not return the ID
+      const { id, name } = await database.getAlbumByPath(albumPath);
+      const mediaRows = await database.getMediaByAlbum(id);
+      onProgress("album-started", { album: name, total: mediaRows.length });
+
+      for (const media of mediaRows) {
+        signal?.throwIfAborted();
+        totals.total++;
+        try {
+          const result = await this.refreshMedia(media, { dryRun, geocodeOnly });
+          const changed = Object.keys(result.changes).length > 0;
+          totals[changed ? "changed" : "unchanged"]++;
+          onProgress("file-refreshed", { album: name, ...result, changed, dryRun });
+        } catch (error) {
+          totals.failed++;
+          debugMetadata(`[metadata-refresh-service.js] Refreshing ${media.object_key} failed: ${error.message}`);
+          onProgress("file-failed", { album: name, objectKey: media.object_key, error: error.message });
+        }
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * Start a refresh unless one is already running in this process
+   * @param {Object} options - Same as refresh()
+   * @returns {Promise|null} The refresh, or null when another one is running
+   */
+  start(options = {}) {
+    if (this.running) return null;
+
+    this.running = { album: options.album || null, dryRun: Boolean(options.dryRun), startedAt: new Date().toISOString() };
+    return this.refresh(options).finally(() => {
+      this.running = null;
+    });
+  }
+}
+
+module.exports = MetadataRefreshService;
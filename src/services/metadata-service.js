@@ -1,119 +1,199 @@
+const path = require("path");
 const exifr = require("exifr");
 const debug = require("debug");
 const debugMetadata = debug("photovault:metadata");
-const debugGps = debug("photovault:metadata:gps");
 const config = require('../config'); // defaults to ./config/index.js
+const { parseQuickTimeMetadata } = require("../utils/quicktime-parser");
+const { readImageDimensions, readWebpExif } = require("../utils/image-dimensions");
+const { parseAppleMakerNote } = require("../utils/apple-maker-note");
+const AlbumMetadataStore = require("./album-metadata-store");
+const GeocoderService = require("./geocoder-service");
+
+// EXIF tags read from IFD0 and the EXIF IFD. exifr applies a global "pick" to XMP and IPTC
+// too (and drops them), so the tags are picked per block and XMP, IPTC and GPS are read whole.
+const EXIF_TAGS = [
+  // Date/time
+  "DateTimeOriginal",
+  "CreateDate",
+  "DateTime",
+  "DateTimeDigitized",
+  "OffsetTimeOriginal",
+  "OffsetTimeDigitized",
+  "OffsetTime",
+  // Camera info
+  "Make",
+  "Model",
+  "Software",
+  "LensModel",
+  "SerialNumber",
+  "CameraSerialNumber",
+  "LensSerialNumber",
+  "MakerNote",
+  // Descriptive
+  "ImageDescription",
+  "XPTitle",
+  "XPKeywords",
+  "Rating",
+  // Photo settings
+  "ISO",
+  "ISOSpeedRatings",
+  "FNumber",
+  "ApertureValue",
+  "ExposureTime",
+  "ShutterSpeedValue",
+  "FocalLength",
+  "Flash",
+  "WhiteBalance",
+  // Image properties
+  "ImageWidth",
+  "ImageHeight",
+  "ExifImageWidth",
+  "ExifImageHeight",
+  "Orientation",
+  "ColorSpace",
+  "XResolution",
+  "YResolution",
+];
+
+// XMP language alternatives come as { lang, value } or a list of them; keep the first text
+function textValue(value) {
+  if (Array.isArray(value)) return textValue(value[0]);
+  if (value && typeof value === "object") return textValue(value.value);
+  if (value === undefined || value === null) return null;
+  const text = String(value).replace(/\0+$/, "").trim();
+  return text || null;
+}
+
+// "+02:00" -> minutes east of UTC, null when the value is no offset
+function offsetMinutes(value) {
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(textValue(value) || "");
+  if (!match) return null;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === "-" ? -minutes : minutes;
+}
+
+// EXIF dates are the camera's clock time; exifr revives them as local Dates of this server.
+// The clock time is read back and moved to UTC with the offset the camera recorded, if any.
+function exifDateToIso(value, offset) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (!(value instanceof Date)) return date.toISOString();
+  const clockTime = Date.UTC(
+    date.getFullYear(), date.getMonth(), date.getDate(),
+    date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds()
+  );
+  return new Date(clockTime - (offsetMinutes(offset) ?? 0) * 60 * 1000).toISOString();
+}
+
+// Keywords as a list without duplicates (XMP bags are lists, IPTC may repeat, XPKeywords uses ";")
+function keywordList(value) {
+  const values = Array.isArray(value) ? value : typeof value === "string" ? value.split(";") : [value];
+  return [...new Set(values.map(textValue).filter(Boolean))];
+}
+
+// Metadata model with every field marked as missing
+function emptyMetadata(filename, mediaType = "photo") {
+  return {
+    sourceImage: filename,
+    mediaType,
+    timestamp: "not found",
+    offsetTimeOriginal: "not found",
+    coordinates: "not found",
+    address: "not found",
+    title: "not found",
+    caption: "not found",
+    keywords: [],
+    rating: "not found",
+    contentIdentifier: "not found",
+    camera: {
+      make: "not found",
+      model: "not found",
+      software: "not found",
+      lens: "not found",
+      serialNumber: "not found",
+      lensSerialNumber: "not found",
+    },
+    settings: {
+      iso: "not found",
+      aperture: "not found",
+      shutterSpeed: "not found",
+      focalLength: "not found",
+      flash: "not found",
+      whiteBalance: "not found",
+    },
+    dimensions: {
+      width: "not found",
+      height: "not found",
+      orientation: "not found",
+      colorSpace: "not found",
+      resolution: {
+        x: "not found",
+        y: "not found",
+      },
+    },
+  };
+}
 
 /**
  * Optimized Metadata Service - Only extracts date and GPS location
  */
 class MetadataService {
-  constructor(minioClient, mapboxToken = null) {
+  /**
+   * @param {Object} minioClient - MinIO client
+   * @param {Object} geocoder - GeocoderService used for addresses (defaults to the configured provider)
+   */
+  constructor(minioClient, geocoder = new GeocoderService()) {
     this.minioClient = minioClient;
-    this.mapboxToken = config.mapbox_token;
-    this.gpsCache = new Map(); // Cache GPS lookups
+    // Every read-modify-write of an album JSON goes through the store
+    this.albumMetadataStore = new AlbumMetadataStore(minioClient);
+    this.geocoder = geocoder;
   }
 
   /**
-   * Extract essential metadata from image buffer
-   * @param {Buffer} buffer - Image buffer
+   * Extract essential metadata from an image (JPEG, HEIC, PNG, WebP, AVIF)
+   * @param {string|Buffer} input - Image file path (exifr only reads the chunks it needs) or buffer
    * @param {string} filename - Original filename
    * @returns {Object} Extracted metadata
    */
-  async extractEssentialMetadata(buffer, filename) {
+  async extractEssentialMetadata(input, filename) {
     try {
       //debugMetadata(`[(25)] > Extracting metadata from: ${filename}`);
 
-      // Extract comprehensive metadata in one pass
-      const exifData = await exifr.parse(buffer, {
+      // exifr cannot locate the EXIF of a WebP file, hand it the EXIF chunk instead
+      const exifInput = (await readWebpExif(input)) || input;
+
+      // Extract comprehensive metadata in one pass (XMP and IPTC values fill in what EXIF lacks)
+      const exifData = await exifr.parse(exifInput, {
+        ifd0: EXIF_TAGS,
+        exif: EXIF_TAGS,
         gps: true,
-        pick: [
-          // Date/time
-          "DateTimeOriginal",
-          "CreateDate",
-          "DateTime",
-          "DateTimeDigitized",
-          // GPS
-          "latitude",
-          "longitude",
-          "GPSLatitude",
-          "GPSLongitude",
-          "GPSLatitudeRef",
-          "GPSLongitudeRef",
-          // Camera info
-          "Make",
-          "Model",
-          "Software",
-          "LensModel",
-          // Photo settings
-          "ISO",
-          "ISOSpeedRatings",
-          "FNumber",
-          "ApertureValue",
-          "ExposureTime",
-          "ShutterSpeedValue",
-          "FocalLength",
-          "Flash",
-          "WhiteBalance",
-          // Image properties
-          "ImageWidth",
-          "ImageHeight",
-          "ExifImageWidth",
-          "ExifImageHeight",
-          "Orientation",
-          "ColorSpace",
-          "XResolution",
-          "YResolution",
-        ],
+        xmp: true,
+        iptc: true,
+        makerNote: true,
+      }).catch((error) => {
+        // Formats exifr does not read (e.g. WebP without EXIF) still get their size below
+        debugMetadata(`[metadata-service.js] No EXIF read from ${filename}: ${error.message}`);
+        return null;
       });
 
-      const metadata = {
-        sourceImage: filename,
-        timestamp: "not found",
-        coordinates: "not found",
-        address: "not found",
-        camera: {
-          make: "not found",
-          model: "not found",
-          software: "not found",
-          lens: "not found",
-        },
-        settings: {
-          iso: "not found",
-          aperture: "not found",
-          shutterSpeed: "not found",
-          focalLength: "not found",
-          flash: "not found",
-          whiteBalance: "not found",
-        },
-        dimensions: {
-          width: "not found",
-          height: "not found",
-          orientation: "not found",
-          colorSpace: "not found",
-          resolution: {
-            x: "not found",
-            y: "not found",
-          },
-        },
-      };
+      const metadata = emptyMetadata(filename);
 
       if (exifData) {
-        // Extract timestamp
+        let timeOffset;
+        // Extract timestamp (UTC when the camera recorded its time zone), each date with its offset tag
         const dateFields = [
-          "DateTimeOriginal",
-          "CreateDate",
-          "DateTime",
-          "DateTimeDigitized",
+          ["DateTimeOriginal", "OffsetTimeOriginal"],
+          ["CreateDate", "OffsetTimeDigitized"],
+          ["DateTime", "OffsetTime"],
+          ["DateTimeDigitized", "OffsetTimeDigitized"],
         ];
-        for (const field of dateFields) {
-          if (exifData[field]) {
-            try {
-              metadata.timestamp = new Date(exifData[field]).toISOString();
-              break;
-            } catch (e) {
-              continue;
-            }
+        for (const [field, offsetField] of dateFields) {
+          const timestamp = exifData[field] ? exifDateToIso(exifData[field], exifData[offsetField]) : null;
+          if (timestamp) {
+            metadata.timestamp = timestamp;
+            // The timeline shows the photo in the time zone its time was converted from, none if not converted
+            timeOffset = offsetMinutes(exifData[offsetField]) === null ? null : textValue(exifData[offsetField]);
+            break;
           }
         }
 
@@ -152,10 +232,7 @@ class MetadataService {
           metadata.coordinates = `${lat},${lng}`;
 
           // Get address from coordinates if available
-          metadata.address = await this.getAddressFromCoordinates(
-            metadata.coordinates,
-            filename
-          );
+          await this._geocode(metadata);
         }
 
         // Extract camera info
@@ -163,6 +240,21 @@ class MetadataService {
         metadata.camera.model = exifData.Model || "not found";
         metadata.camera.software = exifData.Software || "not found";
         metadata.camera.lens = exifData.LensModel || "not found";
+        metadata.camera.serialNumber = textValue(exifData.SerialNumber ?? exifData.CameraSerialNumber) || "not found";
+        metadata.camera.lensSerialNumber = textValue(exifData.LensSerialNumber) || "not found";
+
+        // Time zone of the capture time ("+02:00"), EXIF dates carry none
+        metadata.offsetTimeOriginal = (timeOffset === undefined ? textValue(exifData.OffsetTimeOriginal) : timeOffset) || "not found";
+
+        // Captions, keywords and ratings set in Lightroom, Apple Photos...
+        metadata.title = textValue(exifData.title ?? exifData.ObjectName ?? exifData.Headline ?? exifData.XPTitle) || "not found";
+        metadata.caption = textValue(exifData.description ?? exifData.Caption ?? exifData.ImageDescription) || "not found";
+        metadata.keywords = keywordList(exifData.subject ?? exifData.Keywords ?? exifData.XPKeywords);
+        const rating = Number(exifData.Rating);
+        metadata.rating = Number.isInteger(rating) && rating >= -1 && rating <= 5 ? rating : "not found";
+
+        // iPhone photos: pairs the photo with the video of its Live Photo
+        metadata.contentIdentifier = parseAppleMakerNote(exifData.MakerNote).contentIdentifier || "not found";
 
         // Extract photo settings
         metadata.settings.iso =
@@ -186,44 +278,63 @@ class MetadataService {
         metadata.dimensions.resolution.y = exifData.YResolution || "not found";
       }
 
+      // Screenshots and re-encoded images often carry no size in EXIF, read it from the header
+      if (metadata.dimensions.width === "not found" || metadata.dimensions.height === "not found") {
+        const size = await readImageDimensions(input);
+        if (size) {
+          metadata.dimensions.width = size.width;
+          metadata.dimensions.height = size.height;
+        }
+      }
+
       return metadata;
     } catch (error) {
       console.error(`Error extracting metadata from ${filename}:`,  error.message);
     }
-  
-
-      return {
-        sourceImage: filename,
-        timestamp: "not found",
-        coordinates: "not found",
-        address: "not found",
-        camera: {
-          make: "not found",
-          model: "not found",
-          software: "not found",
-          lens: "not found",
-        },
-        settings: {
-          iso: "not found",
-          aperture: "not found",
-          shutterSpeed: "not found",
-          focalLength: "not found",
-          flash: "not found",
-          whiteBalance: "not found",
-        },
-        dimensions: {
-          width: "not found",
-          height: "not found",
-          orientation: "not found",
-          colorSpace: "not found",
-          resolution: {
-            x: "not found",
-            y: "not found",
-          },
-        },
-      };
+
+    return emptyMetadata(filename);
+  }
+
+  /**
+   * Extract metadata from an MP4 / QuickTime video
+   * @param {string} filePath - Video file path (only the moov atom is read)
+   * @param {string} filename - Original filename
+   * @returns {Object} Extracted metadata, with duration in seconds
+   */
+  async extractVideoMetadata(filePath, filename) {
+    const metadata = { ...emptyMetadata(filename, "video"), duration: "not found" };
+
+    try {
+      const video = await parseQuickTimeMetadata(filePath);
+      if (!video) return metadata;
+
+      if (video.creationDate) metadata.timestamp = video.creationDate;
+      if (video.duration !== null) metadata.duration = video.duration;
+
+      if (video.location) {
+        metadata.coordinates = `${video.location.latitude},${video.location.longitude}`;
+        await this._geocode(metadata);
+      }
+
+      metadata.camera.make = video.make || "not found";
+      metadata.camera.model = video.model || "not found";
+      metadata.camera.software = video.software || "not found";
+
+      metadata.title = video.title || "not found";
+      metadata.caption = video.description || "not found";
+      metadata.keywords = video.keywords;
+      metadata.contentIdentifier = video.contentIdentifier || "not found";
+
+      if (video.width) metadata.dimensions.width = video.width;
+      if (video.height) metadata.dimensions.height = video.height;
+      metadata.dimensions.orientation = video.rotation;
+    } catch (error) {
+      console.error(`Error extracting video metadata from ${filename}:`, error.message);
     }
 
+    return metadata;
+  }
+
   /**
    * Convert DMS (degrees, minutes, seconds) to decimal degrees
    * @param {number} degrees - Degrees
@@ -241,114 +352,111 @@ class MetadataService {
   }
 
   /**
-   * Get address from coordinates using Mapbox API
+   * Get address from coordinates with the configured geocoder
    * @param {string} coordinates - Coordinates in "lat,lng" format
-   * @param {string} filename - Filename for logging
-   * @returns {string} Address or error message
+   * @returns {Object|null} { status, address, provider, error, cached }, null without coordinates
    */
   async getAddressFromCoordinates(coordinates) {
-    if (coordinates === "not found") return "not found";
+    return this.geocoder.reverse(coordinates);
+  }
 
-    const apiKey = this.mapboxToken;
-    if (!apiKey) {
-      //debugGps(`[metadata-service.js LINE 257]:  MAPBOX_TOKEN not found in environment variables`);
-      return "API key not configured";
-    }
+  // Set address and geocoding (the outcome of the lookup) from the coordinates
+  async _geocode(metadata) {
+    const result = await this.getAddressFromCoordinates(metadata.coordinates);
+    if (!result) return;
 
-    try {
-      const [lat, lng] = coordinates.split(",");
-      const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${lng},${lat}.json?access_token=${apiKey}&types=address,poi,place`;
+    metadata.address = result.address ?? "not found";
+    metadata.geocoding = { status: result.status, provider: result.provider, error: result.error };
+  }
 
-      //debugGps(` [metadata-service.js LINE 267]:    Coordinates: ${coordinates}`);
+  /**
+   * Read a folder's metadata JSON
+   * @param {string} bucketName - MinIO bucket name
+   * @param {string} folderName - Album folder name
+   * @returns {Object|null} Parsed metadata, or null if the album has none yet
+   */
+  async getFolderMetadata(bucketName, folderName) {
+    const current = await this.albumMetadataStore.read(bucketName, folderName);
+    return current ? current.document : null;
+  }
 
-      //const fetch = (await import('node-fetch')).default;
-      //const response = await fetch(url);
+  /**
+   * Add or replace an object's entry in its folder metadata JSON with essential data only
+   * @param {string} bucketName - MinIO bucket name
+   * @param {string} objectName - Full object name (folder/file)
+   * @param {Object} metadata - Extracted metadata (with original and variants when there are some)
+   * @returns {boolean} false for objects outside an album folder
+   */
+  async updateFolderMetadata(bucketName, objectName, metadata) {
+    const folderName = path.posix.dirname(objectName);
+    if (folderName === ".") return false; // Skip root uploads
+
+    const imageData = {
+      sourceImage: objectName,
+      mediaType: metadata.mediaType ?? "photo",
+      timestamp: metadata.timestamp ?? "not captured",
+      location: metadata.address ?? "not captured",
+      ...(metadata.geocoding && { geocoding: metadata.geocoding }),
+      coordinates: metadata.coordinates ?? "not captured",
+      camera: metadata.camera ?? "not found",
+      settings: metadata.settings ?? "not found",
+      dimensions: metadata.dimensions ?? "not found",
+      hash: metadata.hash ?? null,
+      title: metadata.title ?? "not found",
+      caption: metadata.caption ?? "not found",
+      keywords: metadata.keywords ?? [],
+      rating: metadata.rating ?? "not found",
+      offsetTimeOriginal: metadata.offsetTimeOriginal ?? "not found",
+      contentIdentifier: metadata.contentIdentifier ?? "not found",
+      ...(metadata.mediaType === "video" && { duration: metadata.duration }),
+      ...(metadata.original && { original: metadata.original }),
+      ...(metadata.variants && { variants: metadata.variants }),
+    };
+
+    await this.albumMetadataStore.update(bucketName, folderName, (folderData) => {
+      folderData.media = folderData.media.filter((img) => img.sourceImage !== objectName);
+      folderData.media.push(imageData);
+    });
+    return true;
+  }
 
-      const response = await fetch(url, { timeout: 5000 });
+  /**
+   * Merge changes into an object's entry of its folder metadata JSON
+   * @param {string} bucketName - MinIO bucket name
+   * @param {string} objectName - Full object name (folder/file)
+   * @param {Object} changes - Fields to set on the entry
+   * @returns {Object|null} The updated entry, or null if the object has none
+   */
+  async patchFolderMetadata(bucketName, objectName, changes) {
+    const folderName = path.posix.dirname(objectName);
+    if (folderName === ".") return null;
 
-      if (!response.ok) {
-        //debugGps(`[(277)]: Mapbox API error: ${response.status} ${response.statusText}`);
-        return `API error: ${response.status}`;
-      }
+    return this.albumMetadataStore.update(bucketName, folderName, (folderData) => {
+      const index = folderData.media.findIndex((img) => img.sourceImage === objectName);
+      if (index === -1) return null;
 
-      const data = await response.json();
-
-      if (data.features && data.features.length > 0) {
-        const feature = data.features[0];
-        const address =
-          feature.place_name || feature.text || "Address not found";
-        //debugGps(` [(282)]:  Found address: ${address}`);
-        return address;
-      } else {
-        //debugGps(`[(285)]:  No features found in Mapbox response`;
-        return "Address not found";
-      }
-    } catch (error) {
-      //debugGps(` [(3290)]: Error getting address for ${coordinates}: ${error.message}`);
-      return "Address lookup failed";
-    }
+      folderData.media[index] = { ...folderData.media[index], ...changes };
+      return folderData.media[index];
+    });
   }
 
   /**
-   * Update folder metadata JSON with essential data only
+   * Remove an object's entry from its folder metadata JSON
+   * @param {string} bucketName - MinIO bucket name
+   * @param {string} objectName - Full object name (folder/file)
+   * @returns {Object|null} The removed entry, or null if there was none
    */
-  async updateFolderMetadata(bucketName, objectName, metadata) {
-    const folderName = objectName.split("/")[0];
-    if (!folderName || folderName === objectName) return; // Skip root uploads
-    const jsonFileName = `${folderName}/${folderName}.json`;
-    //debugMetadata(`[(302)]: Bucket: ${bucketName}, Folder: ${folderName}, JSON: ${jsonFileName}`);
+  async removeFromFolderMetadata(bucketName, objectName) {
+    const folderName = path.posix.dirname(objectName);
+    if (folderName === ".") return null;
 
-    try {
-      let folderData;
-      const chunks = [];
-
-      try {
-        //debugMetadata(`[(309)]: Attempting to retrieve existing metadata from ${jsonFileName}...`);
-        const stream = await this.minioClient.getObject(
-          bucketName,
-          jsonFileName
-        );
-        for await (const chunk of stream) chunks.push(chunk);
-        const rawData = Buffer.concat(chunks).toString();
-        folderData = JSON.parse(rawData);
-        //debugMetadata(`[(334)]: Parsed existing metadata successfully.`);
-      } catch (err) {
-        //debugMetadata(`[(335)]: Could not retrieve or parse existing metadata. Reason: ${err.message}`);
-        folderData = {
-          folderName,
-          media: [],
-          lastUpdated: new Date().toISOString(),
-        };
-      }
-
-      const imageData = {
-        sourceImage: objectName,
-        timestamp: metadata.timestamp ?? "not captured",
-        location: metadata.address ?? "not captured",
-        coordinates: metadata.coordinates ?? "not captured",
-        camera: metadata.camera ?? "not found",
-        settings: metadata.settings ?? "not found",
-        dimensions: metadata.dimensions ?? "not found",
-      };
-
-      folderData.media = folderData.media.filter(
-        (img) => img.sourceImage !== objectName
-      );
-      folderData.media.push(imageData);
-      folderData.lastUpdated = new Date().toISOString();
+    return this.albumMetadataStore.update(bucketName, folderName, (folderData) => {
+      const removedEntry = folderData.media.find((img) => img.sourceImage === objectName);
+      if (!removedEntry) return null;
 
-      const jsonContent = Buffer.from(JSON.stringify(folderData, null, 2));
-      const minioResult = await this.minioClient.putObject(
-        bucketName,
-        jsonFileName,
-        jsonContent
-      );
-
-      return true;
-    } catch (error) {
-      //debugMetadata(`[(376)]: Failed to update folder metadata: ${error.message}`);
-      return false;
-    }
+      folderData.media = folderData.media.filter((img) => img !== removedEntry);
+      return removedEntry;
+    });
   }
 }
 
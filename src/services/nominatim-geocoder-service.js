@@ -0,0 +1,66 @@
+const config = require("../config"); // defaults to ./config/index.js
+
+// Build an error carrying the HTTP status of a failed request
+function geocoderError(message, status = null) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Requests are spaced by minInterval across every instance (the public server bans faster clients)
+let nextRequestAt = 0;
+
+/**
+ * Nominatim Geocoder - reverse geocoding with a Nominatim-compatible server
+ * (nominatim.openstreetmap.org, a self-hosted instance, or a compatible API)
+ */
+class NominatimGeocoderService {
+  constructor() {
+    this.name = "nominatim";
+    this.url = config.geocoder.nominatim.url.replace(/\/+$/, "");
+    this.userAgent = config.geocoder.nominatim.userAgent;
+    this.minInterval = config.geocoder.nominatim.minInterval;
+    this.language = config.geocoder.nominatim.language;
+    this.timeout = config.geocoder.timeout;
+  }
+
+  async _waitForSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, nextRequestAt);
+    nextRequestAt = slot + this.minInterval;
+    if (slot > now) await sleep(slot - now);
+  }
+
+  /**
+   * Find the address of a place
+   * @param {number} latitude - Latitude in decimal degrees
+   * @param {number} longitude - Longitude in decimal degrees
+   * @returns {string|null} Address, or null when the server knows none
+   */
+  async reverse(latitude, longitude) {
+    await this._waitForSlot();
+
+    const params = new URLSearchParams({
+      format: "jsonv2",
+      lat: String(latitude),
+      lon: String(longitude),
+      zoom: "18",
+      "accept-language": this.language,
+    });
+    const response = await fetch(`${this.url}/reverse?${params}`, {
+      headers: { "User-Agent": this.userAgent, Accept: "application/json" },
+      signal: AbortSignal.timeout(this.timeout),
+    });
+    if (!response.ok) {
+      throw geocoderError(`Nominatim answered ${response.status} ${response.statusText}`, response.status);
+    }
+
+    // Places without an address (open sea, ...) come back as { error: "Unable to geocode" }
+    const data = await response.json();
+    return data.error ? null : data.display_name || null;
+  }
+}
+
+module.exports = NominatimGeocoderService;
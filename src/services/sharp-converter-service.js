@@ -0,0 +1,136 @@
+const sharp = require("sharp");
+const debug = require("debug");
+// Debug namespaces
+const debugConverter = debug("photovault:converter");
+const config = require("../config"); // defaults to ./config/index.js
+const { createLimiter } = require("../utils/concurrency");
+
+// libvips already spreads one image over several threads, keep the number of images bounded too
+const limitConversions = createLimiter(config.converter.concurrency);
+
+const OUTPUT_FORMATS = {
+  avif: { extension: "avif", mimetype: "image/avif" },
+  webp: { extension: "webp", mimetype: "image/webp" },
+};
+
+/**
+ * Sharp Converter Service - converts images in-process with sharp/libvips
+ *
+ * Same interface and result shape as AvifConverterService, so UploadService does not need to
+ * know which backend is running. Converted files carry a `buffer` instead of base64 `content`.
+ * Note: the prebuilt libvips of sharp cannot decode HEVC-encoded HEIC photos (iPhone default);
+ * those still need the HTTP converter backend.
+ */
+class SharpConverterService {
+  constructor() {
+    this.name = "sharp";
+    this.format = config.converter.format;
+    this.quality = config.converter.quality;
+    this.variantProfiles = config.converter.variants;
+
+    if (!OUTPUT_FORMATS[this.format]) {
+      throw new Error(`Unsupported converter output format: ${this.format}`);
+    }
+  }
+
+  // Whether the linked libvips can read the given input type
+  _canDecode(mimeType) {
+    if (mimeType === "image/heic" || mimeType === "image/heif") {
+      return sharp.format.heif.input.fileSuffix.includes(".heic");
+    }
+    return true;
+  }
+
+  async _encode(image, quality) {
+    const { data, info } = await image[this.format]({ quality }).toBuffer({ resolveWithObject: true });
+    return { buffer: data, size: info.size, width: info.width, height: info.height };
+  }
+
+  /**
+   * Convert an image file with sharp
+   * @param {string|Buffer} source - Path of the image on disk or image buffer
+   * @param {string} originalName - Original filename
+   * @param {string} mimeType - Original file MIME type
+   * @param {boolean} returnContents - Kept for interface compatibility, contents are always returned
+   * @param {Object} options - Conversion options
+   * @param {AbortSignal} options.signal - Stops before encoding when the upload job is cancelled
+   * @param {Array} options.variants - Resized variant profiles [{ name, width, quality }] (defaults to config)
+   * @returns {Object} Conversion result with the converted files, the full-size one first
+   */
+  async convertImage(source, originalName, mimeType, returnContents = true, { signal, variants = this.variantProfiles } = {}) {
+    try {
+      if (!this._canDecode(mimeType)) {
+        throw new Error(`${mimeType} input is not supported by this libvips build, use the http converter backend`);
+      }
+
+      const { extension, mimetype } = OUTPUT_FORMATS[this.format];
+      const baseName = originalName.replace(/\.[^.]+$/, "");
+
+      const files = await limitConversions(async () => {
+        // The job may have been cancelled while waiting for a free slot
+        signal?.throwIfAborted();
+
+        // Apply the EXIF orientation, the stored metadata describes the upright image
+        const image = sharp(source, { failOn: "none" }).rotate();
+        const full = await this._encode(image.clone(), this.quality);
+        const converted = [{ ...full, variant: "full" }];
+
+        for (const profile of variants) {
+          signal?.throwIfAborted();
+          const resized = image.clone().resize({ width: profile.width, withoutEnlargement: true });
+          converted.push({ ...(await this._encode(resized, profile.quality)), variant: profile.name });
+        }
+        return converted;
+      });
+
+      debugConverter(`[sharp-converter-service.js] Converted ${originalName} to ${files.length} ${extension} file(s)`);
+
+      return {
+        success: true,
+        data: {
+          files: files.map((file) => ({
+            filename: `${baseName}.${extension}`,
+            mimetype,
+            ...file,
+          })),
+        },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Report the libvips build in use
+   * @returns {Object} Health check result
+   */
+  async checkHealth() {
+    return {
+      success: true,
+      data: {
+        backend: this.name,
+        format: this.format,
+        vips: sharp.versions.vips,
+        heicInput: this._canDecode("image/heic"),
+      },
+    };
+  }
+
+  async checkAllServicesHealth() {
+    const health = await this.checkHealth();
+    return {
+      converter: health,
+      overallStatus: health.success ? "healthy" : "degraded",
+    };
+  }
+
+  // In-process, so always available
+  async isAvailable() {
+    return true;
+  }
+}
+
+module.exports = SharpConverterService;
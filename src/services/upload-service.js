@@ -1,53 +1,182 @@
-const AvifConverterService = require("./avif-converter-service");
+const fs = require("fs");
+const crypto = require("crypto");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const { createConverter } = require("./converter-service");
 const MetadataService = require("./metadata-service");
+const database = require("./database-service");
+const { VARIANT_SIZES, variantObjectName } = require("../utils/variants");
+const { validateFileType } = require("../utils/file-type");
+const { toMediaRecord } = require("../utils/media-record");
+const config = require("../config"); // defaults to ./config/index.js
 const debug = require("debug");
 const debugUpload = debug("photovault:upload-service");
 
+// Image types sent to the converter (PNG and WebP keep their alpha channel)
+const CONVERTIBLE_MIME_TYPES = ["image/heic", "image/heif", "image/jpeg", "image/png", "image/webp"];
+// Images already in the delivery format, stored without re-encoding
+const STORED_AS_IS_IMAGE_TYPES = ["image/avif"];
+// Video containers stored as-is (MP4 / QuickTime from iPhones)
+const VIDEO_MIME_TYPES = ["video/quicktime", "video/mp4", "video/mov", "video/x-m4v"];
+
+// What to do with a file whose content hash already exists
+const DUPLICATE_MODES = ["skip", "replace", "keep"];
+// Where to look for an existing copy
+const DUPLICATE_SCOPES = ["album", "library"];
+
+// Object names picked by _resolveObjectName whose write has not landed yet ("bucket/name"), so
+// files of the same batch converted to the same name (IMG_0001.JPG and IMG_0001.HEIC) never
+// resolve to one object
+const reservedObjectNames = new Set();
+
+// SHA-256 of a file on disk, read in chunks so large files never sit in memory
+async function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
 // Upload Service - Handles file uploads with AVIF conversion (NO FALLBACKS)
+// Conversion runs on the backend chosen in config.converter.backend (see converter-service.js).
+// Videos (MP4 / QuickTime) are stored unchanged next to the converted photos.
 //
 // IMPORTANT: This service enforces strict AVIF conversion requirements:
 // - Only successfully converted AVIF files are uploaded to MinIO
 // - If AVIF conversion fails, the original file is NOT uploaded
 // - Upload failures are properly propagated to the client
 // - No fallback mechanisms are implemented by design
+// The one exception is a converter that cannot be reached: the photo is then parked under the
+// pending prefix and converted later by ConversionQueueService, it is never served unconverted.
 
 class UploadService {
   constructor(minioClient) {
     this.minioClient = minioClient;
-    this.avifConverter = new AvifConverterService();
+    this.converter = createConverter();
     this.metadataService = new MetadataService(minioClient);
   }
 
   /**
    * Process and upload a single file
-   * @param {Object} file - Multer file object
+   * @param {Object} file - Multer file object (stored on disk, see file.path)
    * @param {string} bucketName - MinIO bucket name
    * @param {string} folderPath - Upload folder path
-   * @returns {Object|null} Upload result (single object) or null if skipped
+   * @param {Object} options - Processing options
+   * @param {Function} options.onConverted - Called once the converter has returned the AVIF
+   * @param {AbortSignal} options.signal - Aborts an in-flight conversion when the job is cancelled
+   * @param {Object} options.duplicates - { mode: skip|replace|keep, index: Map from loadContentHashes }
+   * @param {boolean} options.archiveOriginal - Keep the untouched image under the originals prefix
+   * @param {string} options.jobId - Upload job the file belongs to (recorded with deferred conversions)
+   * @returns {Object|null} Upload result (single object), { skipped: true, ... } for a duplicate,
+   *   { rejected: true, reason } when the content fails the MIME policy,
+   *   { deferred: true, ... } when the converter is down, or null if unsupported
    */
-  async processAndUploadFile(file, bucketName, folderPath = "") {
-    const { mimetype, originalname, buffer } = file;
-    debugUpload(`[(30)]: Processing file: ${originalname} with mimetype: ${mimetype}`);
+  async processAndUploadFile(file, bucketName, folderPath = "", options = {}) {
+    const { originalname, path: filePath } = file;
+    debugUpload(`[(30)]: Processing file: ${originalname} with mimetype: ${file.mimetype}`);
 
     let extractedMetadata = null;
     let uploadResult = null;
+    let claimedHash = null; // Hash this file reserved in the duplicate index
 
     try {
-      // Skip unsupported file types
-      if (mimetype !== "image/heic" && mimetype !== "image/jpeg") {
+      // The client's mimetype is only a claim, the file content decides
+      const typeCheck = await validateFileType(file);
+      if (!typeCheck.ok) {
+        debugUpload(`[upload-service.js]: Rejected ${originalname}: ${typeCheck.reason}`);
+        return { rejected: true, reason: typeCheck.reason, originalName: originalname };
+      }
+      const mimetype = typeCheck.mimetype;
+      file = { ...file, mimetype };
+
+      // Skip allowed types this pipeline cannot process (yet)
+      const isVideo = VIDEO_MIME_TYPES.includes(mimetype);
+      const isStoredAsIs = STORED_AS_IS_IMAGE_TYPES.includes(mimetype);
+      if (!isVideo && !isStoredAsIs && !CONVERTIBLE_MIME_TYPES.includes(mimetype)) {
         return null;
       }
 
-      // Step 1: Extract metadata
-      extractedMetadata = await this.metadataService.extractEssentialMetadata(buffer, originalname);
+      // Step 1: Hash the original and check for an existing copy
+      const contentHash = await hashFile(filePath);
+      const { mode: duplicateMode = "skip", index: hashIndex } = options.duplicates || {};
+      const existingObject = hashIndex ? hashIndex.get(contentHash) : undefined;
+
+      // An identical file earlier in this upload is still being stored (null claim): replacing
+      // it would store both, so the later copy is skipped as in skip mode
+      const isDuplicate =
+        existingObject !== undefined && (duplicateMode === "skip" || (duplicateMode === "replace" && existingObject === null));
+      if (isDuplicate) {
+        debugUpload(`[upload-service.js]: Skipping ${originalname}, duplicate of ${existingObject || "an earlier file in this upload"}`);
+        return {
+          skipped: true,
+          reason: "duplicate",
+          originalName: originalname,
+          duplicateOf: existingObject || null,
+          hash: contentHash,
+        };
+      }
+      // Claim the hash right away so identical files later in the same batch are caught too
+      if (hashIndex && existingObject === undefined) {
+        hashIndex.set(contentHash, null);
+        claimedHash = contentHash;
+      }
+      // keep mode stores a re-upload of the same content under a new name instead of over it
+      const keepDuplicates = duplicateMode === "keep";
+
+      // Step 2: Extract metadata
+      extractedMetadata = isVideo
+        ? await this.metadataService.extractVideoMetadata(filePath, originalname)
+        : await this.metadataService.extractEssentialMetadata(filePath, originalname);
+      extractedMetadata.hash = contentHash;
       debugUpload(`[(43)]: Extracted metadata for ${originalname}: ${JSON.stringify(extractedMetadata)}`);
 
-      // Step 2: Convert and upload image
-      uploadResult = await this.processImageFile(file, bucketName, folderPath, mimetype);
+      // Step 3: Convert and upload image, or upload the video / AVIF as-is
+      try {
+        if (isVideo) {
+          uploadResult = await this.processVideoFile(file, bucketName, folderPath, { contentHash, keepDuplicates });
+        } else if (isStoredAsIs) {
+          uploadResult = await this.processUnconvertedImage(file, bucketName, folderPath, { contentHash, keepDuplicates });
+        } else {
+          uploadResult = await this.processImageFile(file, bucketName, folderPath, mimetype, {
+            ...options,
+            contentHash,
+            keepDuplicates,
+          });
+        }
+      } catch (error) {
+        if (error.code !== "CONVERTER_UNAVAILABLE") throw error;
+
+        debugUpload(`[upload-service.js]: Converter unavailable, deferring conversion of ${originalname}`);
+        return await this.deferConversion(file, bucketName, folderPath, {
+          jobId: options.jobId,
+          contentHash,
+          metadata: extractedMetadata,
+          archiveOriginal: Boolean(options.archiveOriginal),
+          reason: error.message,
+        });
+      }
       debugUpload(`[(47)]: Uploaded file ${originalname} as ${uploadResult.objectName}`);
 
-      // Step 3: Try updating JSON metadata (non-blocking)
-      if (uploadResult && extractedMetadata) {
+      // Videos and AVIFs are stored unchanged, so only converted images need their original archived
+      if (!isVideo && !isStoredAsIs) {
+        await this._finishImageUpload(file, bucketName, uploadResult, extractedMetadata, {
+          archiveOriginal: options.archiveOriginal,
+          contentHash,
+        });
+      }
+
+      // Step 4: Record the media row (the album JSON is only an export of it)
+      await this.recordMedia(bucketName, folderPath, uploadResult, extractedMetadata);
+
+      if (hashIndex) hashIndex.set(contentHash, uploadResult.objectName);
+      if (existingObject && duplicateMode === "replace" && existingObject !== uploadResult.objectName) {
+        await this.removeUploadedFile(bucketName, { objectName: existingObject });
+        uploadResult.replaced = existingObject;
+      }
+
+      // Step 5: Try updating the album JSON export (non-blocking)
+      if (config.media.albumJsonExport && uploadResult && extractedMetadata) {
         this.updateJsonMetadataAsync(bucketName, uploadResult, extractedMetadata, originalname)
           .then(() => {
            // debugUpload(`[upload-service.js (52)]: Updated JSON metadata for ${originalname}`);
@@ -59,13 +188,12 @@ class UploadService {
 
       return uploadResult;
     } catch (error) {
-      throw new Error(`Failed processing ${originalname}: ${error.message}`);
-    } finally {
-      if (global.gc) {
-        global.gc();
-        const memAfterGC = process.memoryUsage();
-        //debugUpload(`[(69)]: Memory after GC: ${(memAfterGC.heapUsed / 1024 / 1024).toFixed(2)}MB heap, ${(memAfterGC.rss / 1024 / 1024).toFixed(2)}MB RSS`);
+      // Nothing was stored: release the claim so an identical file later in the batch is not
+      // skipped as a duplicate of it
+      if (claimedHash && options.duplicates.index.get(claimedHash) === null) {
+        options.duplicates.index.delete(claimedHash);
       }
+      throw new Error(`Failed processing ${originalname}: ${error.message}`);
     }
   }
 
@@ -73,33 +201,69 @@ class UploadService {
   /**
    * Process image files (HEIC or JPEG) - convert using microservice and upload
    */
-  async processImageFile(file, bucketName, folderPath, mimetype) {
+  async processImageFile(file, bucketName, folderPath, mimetype, { onConverted, signal, contentHash, keepDuplicates } = {}) {
     try {
-      const conversionResult = await this.avifConverter.convertImage(
-        file.buffer,
+      const conversionResult = await this.converter.convertImage(
+        file.path,
         file.originalname,
-        file.mimetype
+        file.mimetype,
+        true,
+        { signal }
       );
 
-      const convertedFile = this._processConvertedFileFromMicroservice(conversionResult.data.files);
+      if (!conversionResult.success) {
+        const error = new Error(conversionResult.error);
+        if (conversionResult.unavailable) error.code = "CONVERTER_UNAVAILABLE";
+        throw error;
+      }
 
-      const objectName = folderPath
-        ? `${folderPath.replace(/\/$/, "")}/${convertedFile.filename}`
-        : convertedFile.filename;
+      const convertedFiles = conversionResult.data.files;
+      const convertedFile = this._processConvertedFileFromMicroservice(
+        convertedFiles.filter((converted) => converted.variant === "full")
+      );
+      if (onConverted) onConverted(convertedFile);
 
-      const uploadInfo = await this.minioClient.putObject(
+      const objectName = await this._resolveObjectName(
         bucketName,
-        objectName,
-        convertedFile.buffer,
-        convertedFile.size,
-        {
-          "Content-Type": convertedFile.mimetype,
-          "X-Amz-Meta-Original-Name": file.originalname,
-          "X-Amz-Meta-Upload-Date": new Date().toISOString(),
-          "X-Amz-Meta-Converted-By": "avif-converter-microservice",
-        }
+        folderPath
+          ? `${folderPath.replace(/\/$/, "")}/${convertedFile.filename}`
+          : convertedFile.filename,
+        contentHash,
+        { keepDuplicates }
       );
 
+      let uploadInfo;
+      try {
+        uploadInfo = await this.minioClient.putObject(
+          bucketName,
+          objectName,
+          convertedFile.buffer,
+          convertedFile.size,
+          {
+            "Content-Type": convertedFile.mimetype,
+            "X-Amz-Meta-Original-Name": file.originalname,
+            "X-Amz-Meta-Upload-Date": new Date().toISOString(),
+            "X-Amz-Meta-Converted-By": this.converter.name,
+            ...(contentHash && { "X-Amz-Meta-Content-Hash": contentHash }),
+          }
+        );
+      } finally {
+        this._releaseObjectName(bucketName, objectName);
+      }
+
+      let variants;
+      try {
+        variants = await this._uploadVariants(
+          bucketName,
+          objectName,
+          convertedFiles.filter((converted) => converted.variant !== "full"),
+          file.originalname
+        );
+      } catch (error) {
+        await this.minioClient.removeObject(bucketName, objectName);
+        throw error;
+      }
+
       return {
         originalName: file.originalname,
         objectName,
@@ -107,6 +271,8 @@ class UploadService {
         mimetype: convertedFile.mimetype,
         etag: uploadInfo.etag,
         versionId: uploadInfo.versionId,
+        hash: contentHash,
+        ...(variants && { variants }),
       };
     } catch (error) {
       throw error;
@@ -114,12 +280,156 @@ class UploadService {
   }
 
   /**
-   * Process video file - upload directly to MinIO without conversion
+   * Record the variants of a converted photo and archive its original (when enabled)
+   * @param {Object} file - File on disk ({ path, originalname, mimetype, size })
+   * @param {string} bucketName - MinIO bucket name
+   * @param {Object} uploadResult - Result of processImageFile, gets `original` set
+   * @param {Object} metadata - Extracted metadata, gets `variants` and `original` set
+   * @param {Object} options - { archiveOriginal, contentHash }
    */
-  async processVideoFile(file, bucketName, folderPath) {
-    const videoTimer = `Video-upload-${file.originalname}`;
+  async _finishImageUpload(file, bucketName, uploadResult, metadata, { archiveOriginal, contentHash }) {
+    if (uploadResult.variants) metadata.variants = uploadResult.variants;
+    if (!archiveOriginal) return;
+
+    try {
+      uploadResult.original = await this.archiveOriginal(file, uploadResult.objectName, contentHash);
+      metadata.original = uploadResult.original;
+    } catch (error) {
+      await this.minioClient.removeObject(bucketName, uploadResult.objectName);
+      await this._removeVariants(bucketName, uploadResult.variants);
+      throw new Error(`Archiving original failed: ${error.message}`);
+    }
+  }
 
-    const maxSizeMB = 2000; // 2GB limit
+  /**
+   * Park a photo that could not be converted because the converter is down
+   * @param {Object} file - Multer file object
+   * @param {string} bucketName - MinIO bucket name
+   * @param {string} folderPath - Album folder the photo belongs in
+   * @param {Object} options - { jobId, contentHash, metadata, archiveOriginal, reason }
+   * @returns {Object} { deferred: true, pendingId, pendingObject, originalName, hash, reason }
+   */
+  async deferConversion(file, bucketName, folderPath, { jobId, contentHash, metadata, archiveOriginal, reason }) {
+    const pendingId = uuidv4();
+    const pendingObject = `${config.conversionQueue.prefix}${pendingId}${path.extname(file.originalname)}`;
+
+    await this.minioClient.putObject(
+      bucketName,
+      pendingObject,
+      fs.createReadStream(file.path),
+      file.size,
+      {
+        "Content-Type": file.mimetype,
+        "X-Amz-Meta-Original-Name": file.originalname,
+        "X-Amz-Meta-Upload-Date": new Date().toISOString(),
+        ...(contentHash && { "X-Amz-Meta-Content-Hash": contentHash }),
+      }
+    );
+
+    try {
+      await database.createPendingConversion({
+        id: pendingId,
+        jobId,
+        bucket: bucketName,
+        folderPath,
+        pendingObject,
+        originalName: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+        contentHash,
+        metadata,
+        archiveOriginal,
+      });
+    } catch (error) {
+      await this.minioClient.removeObject(bucketName, pendingObject);
+      throw new Error(`Deferring conversion failed: ${error.message}`);
+    }
+
+    return {
+      deferred: true,
+      pendingId,
+      pendingObject,
+      originalName: file.originalname,
+      hash: contentHash,
+      reason,
+    };
+  }
+
+  /**
+   * Convert a deferred photo now that the converter is back, then store it like a regular upload
+   * @param {Object} pending - Row from pending_conversions
+   * @param {Object} file - The pending object downloaded to disk ({ path, originalname, mimetype, size })
+   * @returns {Object} Upload result of the converted photo
+   */
+  async convertPendingFile(pending, file) {
+    const metadata = { ...pending.metadata };
+    const uploadResult = await this.processImageFile(file, pending.bucket, pending.folder_path, pending.mimetype, {
+      contentHash: pending.content_hash,
+    });
+
+    await this._finishImageUpload(file, pending.bucket, uploadResult, metadata, {
+      archiveOriginal: Boolean(pending.archive_original),
+      contentHash: pending.content_hash,
+    });
+    await this.recordMedia(pending.bucket, pending.folder_path, uploadResult, metadata);
+    if (config.media.albumJsonExport) {
+      // The media row is already recorded, a failed export must not fail the conversion
+      await this.updateJsonMetadataAsync(pending.bucket, uploadResult, metadata, pending.original_name).catch((error) =>
+        debugUpload(`[upload-service.js]: ${error.message}`)
+      );
+    }
+
+    return uploadResult;
+  }
+
+  /**
+   * Store an image that is already in the delivery format (AVIF) without re-encoding it
+   */
+  async processUnconvertedImage(file, bucketName, folderPath, { contentHash, keepDuplicates } = {}) {
+    const objectName = await this._resolveObjectName(
+      bucketName,
+      folderPath
+        ? `${folderPath.replace(/\/$/, "")}/${file.originalname}`
+        : file.originalname,
+      contentHash,
+      { keepDuplicates }
+    );
+
+    let uploadInfo;
+    try {
+      uploadInfo = await this.minioClient.putObject(
+        bucketName,
+        objectName,
+        fs.createReadStream(file.path),
+        file.size,
+        {
+          "Content-Type": file.mimetype,
+          "X-Amz-Meta-Original-Name": file.originalname,
+          "X-Amz-Meta-Upload-Date": new Date().toISOString(),
+          "X-Amz-Meta-Converted-By": "none",
+          ...(contentHash && { "X-Amz-Meta-Content-Hash": contentHash }),
+        }
+      );
+    } finally {
+      this._releaseObjectName(bucketName, objectName);
+    }
+
+    return {
+      originalName: file.originalname,
+      objectName,
+      size: file.size,
+      mimetype: file.mimetype,
+      etag: uploadInfo.etag,
+      versionId: uploadInfo.versionId,
+      hash: contentHash,
+    };
+  }
+
+  /**
+   * Process video file - upload directly to MinIO without conversion
+   */
+  async processVideoFile(file, bucketName, folderPath, { contentHash, keepDuplicates } = {}) {
+    const maxSizeMB = config.upload.maxFileSize / 1024 / 1024;
     const fileSizeMB = file.size / 1024 / 1024;
     if (fileSizeMB > maxSizeMB) {
       throw new Error(
@@ -127,15 +437,21 @@ class UploadService {
       );
     }
 
-    try {
-      const objectName = folderPath
+    const objectName = await this._resolveObjectName(
+      bucketName,
+      folderPath
         ? `${folderPath.replace(/\/$/, "")}/${file.originalname}`
-        : file.originalname;
+        : file.originalname,
+      contentHash,
+      { keepDuplicates }
+    );
 
-      const uploadInfo = await this.minioClient.putObject(
+    let uploadInfo;
+    try {
+      uploadInfo = await this.minioClient.putObject(
         bucketName,
         objectName,
-        file.buffer,
+        fs.createReadStream(file.path),
         file.size,
         {
           "Content-Type": file.mimetype || "video/quicktime",
@@ -143,24 +459,23 @@ class UploadService {
           "X-Amz-Meta-Upload-Date": new Date().toISOString(),
           "X-Amz-Meta-File-Type": "video",
           "X-Amz-Meta-Source": "iPhone",
+          ...(contentHash && { "X-Amz-Meta-Content-Hash": contentHash }),
         }
       );
-
-      console.timeEnd(videoTimer);
-
-      return {
-        originalName: file.originalname,
-        objectName,
-        size: file.size,
-        mimetype: file.mimetype || "video/quicktime",
-        etag: uploadInfo.etag,
-        versionId: uploadInfo.versionId,
-        fileType: "video",
-      };
-    } catch (error) {
-      console.timeEnd(videoTimer);
-      throw error;
+    } finally {
+      this._releaseObjectName(bucketName, objectName);
     }
+
+    return {
+      originalName: file.originalname,
+      objectName,
+      size: file.size,
+      mimetype: file.mimetype || "video/quicktime",
+      etag: uploadInfo.etag,
+      versionId: uploadInfo.versionId,
+      fileType: "video",
+      hash: contentHash,
+    };
   }
 
   /**
@@ -173,7 +488,8 @@ class UploadService {
     }
 
     try {
-      const fileBuffer = Buffer.from(fileData.content, "base64");
+      // The HTTP backend sends base64 content, in-process backends hand over the buffer
+      const fileBuffer = fileData.buffer || Buffer.from(fileData.content, "base64");
 
       return {
         buffer: fileBuffer,
@@ -186,6 +502,51 @@ class UploadService {
     }
   }
 
+  /**
+   * Store the resized variants returned by the converter next to the full-size object
+   * @param {string} bucketName - MinIO bucket name
+   * @param {string} objectName - Object name of the full-size converted image
+   * @param {Array} variantFiles - Converted files other than "full"
+   * @param {string} originalName - Name of the uploaded file
+   * @returns {Object|undefined} Map of variant name to object name, undefined if there were none
+   */
+  async _uploadVariants(bucketName, objectName, variantFiles, originalName) {
+    if (variantFiles.length === 0) return undefined;
+
+    const variants = {};
+    try {
+      for (const variantFile of variantFiles) {
+        const buffer = variantFile.buffer || Buffer.from(variantFile.content, "base64");
+        const variantName = variantObjectName(objectName, variantFile.variant);
+
+        await this.minioClient.putObject(bucketName, variantName, buffer, buffer.length, {
+          "Content-Type": variantFile.mimetype || "image/avif",
+          "X-Amz-Meta-Original-Name": originalName,
+          "X-Amz-Meta-Variant": variantFile.variant,
+          "X-Amz-Meta-Variant-Of": objectName,
+        });
+        variants[variantFile.variant] = variantName;
+      }
+    } catch (error) {
+      await this._removeVariants(bucketName, variants);
+      throw new Error(`Storing ${objectName} variants failed: ${error.message}`);
+    }
+
+    return variants;
+  }
+
+  /**
+   * Remove the variant objects of a photo
+   * @param {string} bucketName - MinIO bucket name
+   * @param {Object} variants - Map of variant name to object name
+   */
+  async _removeVariants(bucketName, variants) {
+    const objectNames = Object.values(variants || {});
+    if (objectNames.length > 0) {
+      await this.minioClient.removeObjects(bucketName, objectNames);
+    }
+  }
+
   /**
    * Upload regular (non-HEIC) file
    */
@@ -201,7 +562,7 @@ class UploadService {
       const uploadInfo = await this.minioClient.putObject(
         bucketName,
         objectName,
-        file.buffer,
+        fs.createReadStream(file.path),
         file.size,
         {
           "Content-Type": file.mimetype,
@@ -226,6 +587,200 @@ class UploadService {
     }
   }
 
+  /**
+   * Pick an object name that does not overwrite a different file with the same name.
+   * An existing object with the same content hash is simply replaced, unless keepDuplicates
+   * asks for a second copy (duplicates=keep); names then get the hash and a counter appended.
+   * The name stays reserved until _releaseObjectName, call it once the object is written.
+   */
+  async _resolveObjectName(bucketName, objectName, contentHash, { keepDuplicates = false } = {}) {
+    if (!contentHash) return objectName;
+
+    const { dir, name, ext } = path.posix.parse(objectName);
+    for (let attempt = 0; ; attempt++) {
+      const suffix = attempt === 0 ? "" : `-${contentHash.slice(0, 8)}${attempt > 1 ? `-${attempt}` : ""}`;
+      const candidate = `${dir ? `${dir}/` : ""}${name}${suffix}${ext}`;
+
+      // Taken by a file still being stored
+      const key = `${bucketName}/${candidate}`;
+      if (reservedObjectNames.has(key)) continue;
+      reservedObjectNames.add(key);
+
+      try {
+        const stat = await this.minioClient.statObject(bucketName, candidate);
+        if (!keepDuplicates && stat.metaData["content-hash"] === contentHash) {
+          return candidate;
+        }
+      } catch (error) {
+        if (error.code === "NotFound" || error.code === "NoSuchKey") {
+          return candidate;
+        }
+        reservedObjectNames.delete(key);
+        throw error;
+      }
+      reservedObjectNames.delete(key);
+    }
+  }
+
+  // Free a name reserved by _resolveObjectName (its object now exists, or was not written)
+  _releaseObjectName(bucketName, objectName) {
+    reservedObjectNames.delete(`${bucketName}/${objectName}`);
+  }
+
+  /**
+   * Copy the untouched upload into the originals archive, named after its converted object
+   * (album/IMG_0001.avif -> originals/album/IMG_0001.HEIC)
+   * @param {Object} file - Multer file object
+   * @param {string} objectName - Object name of the converted file
+   * @param {string} contentHash - SHA-256 of the original
+   * @returns {string} Object name of the archived original
+   */
+  async archiveOriginal(file, objectName, contentHash) {
+    const { bucket, prefix } = config.upload.originals;
+    const { dir, name } = path.posix.parse(objectName);
+    const originalName = `${prefix}${dir ? `${dir}/` : ""}${name}${path.extname(file.originalname)}`;
+
+    await this.minioClient.putObject(
+      bucket,
+      originalName,
+      fs.createReadStream(file.path),
+      file.size,
+      {
+        "Content-Type": file.mimetype,
+        "X-Amz-Meta-Original-Name": file.originalname,
+        "X-Amz-Meta-Upload-Date": new Date().toISOString(),
+        "X-Amz-Meta-Converted-Object": objectName,
+        ...(contentHash && { "X-Amz-Meta-Content-Hash": contentHash }),
+      }
+    );
+
+    return originalName;
+  }
+
+  /**
+   * Whether originals should be archived for uploads into this folder (album setting, on by default)
+   * @param {string} folderPath - Target album folder
+   * @returns {boolean}
+   */
+  async isArchivingEnabled(folderPath) {
+    try {
+      const album = await database.getAlbumByPath(`${folderPath.replace(/^\/+|\/+$/g, "")}/`);
+      return !album || album.archive_originals === undefined || Boolean(album.archive_originals);
+    } catch (error) {
+      debugUpload(`[upload-service.js]: Could not read archive setting for ${folderPath}: ${error.message}`);
+      return true;
+    }
+  }
+
+  /**
+   * Load the content hashes already stored in an album or in the whole library
+   * @param {string} bucketName - MinIO bucket name
+   * @param {string} folderPath - Target album folder
+   * @param {string} scope - "album" or "library"
+   * @returns {Map<string, string>} Content hash -> object name
+   */
+  async loadContentHashes(bucketName, folderPath, scope = "album") {
+    const index = new Map();
+
+    let albumId = null;
+    if (scope !== "library") {
+      const album = await database.getAlbumByPath(`${folderPath.replace(/^\/+|\/+$/g, "")}/`);
+      if (!album) return index;
+      albumId = album.id;
+    }
+
+    for (const { content_hash: hash, object_key: objectKey } of await database.getMediaHashes(bucketName, albumId)) {
+      if (!index.has(hash)) index.set(hash, objectKey);
+    }
+    return index;
+  }
+
+  /**
+   * Write the media table row of a stored file
+   * @param {string} bucketName - MinIO bucket name
+   * @param {string} folderPath - Album folder the file was stored in
+   * @param {Object} uploadResult - Result of the upload (objectName, mimetype, size)
+   * @param {Object} metadata - Extracted metadata, with original and variants when there are some
+   */
+  async recordMedia(bucketName, folderPath, uploadResult, metadata) {
+    try {
+      const album = await database.getAlbumByPath(`${folderPath.replace(/^\/+|\/+$/g, "")}/`);
+      await database.upsertMedia(toMediaRecord(metadata, {
+        bucket: bucketName,
+        objectKey: uploadResult.objectName,
+        albumId: album?.id ?? null,
+        mimetype: uploadResult.mimetype,
+        size: uploadResult.size,
+      }));
+    } catch (error) {
+      // A file without its row would be invisible to every query, don't keep it
+      await this._removeStoredFiles(bucketName, uploadResult);
+      throw new Error(`Recording media failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove an uploaded file with everything deleteStoredMedia removes (used to roll back cancelled
+   * jobs and to replace duplicates); for a deferred file, its pending copy
+   * @param {string} bucketName - MinIO bucket name
+   * @param {Object} uploadResult - Result returned by processAndUploadFile
+   */
+  async removeUploadedFile(bucketName, uploadResult) {
+    if (uploadResult.deferred) {
+      await this.minioClient.removeObject(bucketName, uploadResult.pendingObject);
+      await database.deletePendingConversion(uploadResult.pendingId);
+      return;
+    }
+
+    await this.deleteStoredMedia(bucketName, uploadResult.objectName, {
+      variants: uploadResult.variants,
+      original: uploadResult.original,
+    });
+  }
+
+  /**
+   * Delete a stored photo or video: the object, its variants, its archived original, its media row
+   * and its album JSON entry
+   * @param {string} bucketName - MinIO bucket name
+   * @param {string} objectName - Object name of the photo or video
+   * @param {Object} [stored] - variants and original already known to the caller (e.g. an upload result)
+   * @returns {Object} { metadataUpdated } - whether an album JSON entry was removed
+   */
+  async deleteStoredMedia(bucketName, objectName, { variants, original } = {}) {
+    const media = await database.getMedia(bucketName, objectName);
+
+    // The album JSON is only an export, failing to update it must not keep the files
+    let removedEntry = null;
+    if (config.media.albumJsonExport) {
+      try {
+        removedEntry = await this.metadataService.removeFromFolderMetadata(bucketName, objectName);
+      } catch (error) {
+        debugUpload(`[upload-service.js] Metadata update failed for ${objectName}: ${error.message}`);
+      }
+    }
+
+    await this._removeStoredFiles(bucketName, {
+      objectName,
+      // Objects stored before their variants were recorded: the names follow from the size
+      variants: variants || media?.variants || removedEntry?.variants || Object.fromEntries(
+        VARIANT_SIZES.filter((size) => size !== "full").map((size) => [size, variantObjectName(objectName, size)])
+      ),
+      original: original || media?.original_key || removedEntry?.original,
+    });
+    await database.deleteMedia(bucketName, objectName);
+
+    return { metadataUpdated: Boolean(removedEntry) };
+  }
+
+  // Remove an object with its variants and archived original
+  async _removeStoredFiles(bucketName, { objectName, variants, original }) {
+    await this.minioClient.removeObject(bucketName, objectName);
+    await this._removeVariants(bucketName, variants);
+    if (original) {
+      await this.minioClient.removeObject(config.upload.originals.bucket, original);
+    }
+  }
+
   /**
    * Update JSON metadata file
    */
@@ -269,4 +824,22 @@ class UploadService {
   }
 }
 
+/**
+ * Read the duplicate handling options sent with an upload request
+ * @param {Object} body - Request body ({ duplicates, duplicateScope })
+ * @returns {Object} { options } or { error } when a value is not supported
+ */
+UploadService.parseUploadOptions = (body = {}) => {
+  const { duplicates = "skip", duplicateScope = "album" } = body;
+
+  if (!DUPLICATE_MODES.includes(duplicates)) {
+    return { error: `duplicates must be one of: ${DUPLICATE_MODES.join(", ")}` };
+  }
+  if (!DUPLICATE_SCOPES.includes(duplicateScope)) {
+    return { error: `duplicateScope must be one of: ${DUPLICATE_SCOPES.join(", ")}` };
+  }
+
+  return { options: { duplicates, duplicateScope } };
+};
+
 module.exports = UploadService;
@@ -0,0 +1,223 @@
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const database = require("./database-service");
+const config = require("../config"); // defaults to ./config/index.js
+const debug = require("debug");
+const debugWebhook = debug("photovault:webhook");
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ["upload.completed", "photo.deleted", "album.created", "metadata.updated"];
+
+// Sent only on request (POST /webhooks/:id/ping), to check an endpoint and its signature code
+const PING_EVENT = "ping";
+
+// Exponential backoff with full jitter, same scheme as the converter client
+function backoffDelay(attempt, { retryBaseDelay, retryMaxDelay }) {
+  const ceiling = Math.min(retryMaxDelay, retryBaseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Webhook Service - notifies registered URLs of library events
+ *
+ * Every event is stored as one webhook_deliveries row per subscribed webhook, then sent as a
+ * signed JSON POST. Failed attempts (network error, timeout, non-2xx answer) are retried with
+ * backoff by a polling worker until maxAttempts, so deliveries survive restarts. The rows
+ * double as the delivery log shown to admins.
+ *
+ * Request headers:
+ * - X-PhotoVault-Event      event name
+ * - X-PhotoVault-Delivery   delivery ID, also the "id" of the body (the same on retries)
+ * - X-PhotoVault-Timestamp  Unix time of the attempt, in seconds
+ * - X-PhotoVault-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the webhook secret>
+ */
+class WebhookService {
+  constructor(options = config.webhooks) {
+    this.options = options;
+    this.timer = null;
+    this.running = null; // Promise of the pass in progress
+  }
+
+  /**
+   * Signature header value of a request body
+   * @param {string} secret - Webhook secret
+   * @param {number} timestamp - Unix time in seconds, sent as X-PhotoVault-Timestamp
+   * @param {string} body - Raw JSON body
+   * @returns {string} "sha256=<hex digest>"
+   */
+  static sign(secret, timestamp, body) {
+    const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Start polling for due retries; the first pass runs now and picks up deliveries orphaned by
+   * a previous process
+   */
+  async start() {
+    this.processQueue();
+    this.timer = setInterval(() => this.processQueue(), this.options.interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async _enqueue(webhooks, event, data) {
+    const timestamp = new Date().toISOString();
+    const ids = [];
+    for (const webhook of webhooks) {
+      const id = uuidv4();
+      await database.createWebhookDelivery({
+        id,
+        webhookId: webhook.id,
+        event,
+        payload: { id, event, timestamp, data },
+      });
+      ids.push(id);
+    }
+    if (ids.length > 0) this.processQueue();
+    return ids;
+  }
+
+  /**
+   * Notify the webhooks subscribed to an event. Never throws: a webhook problem must not
+   * fail the upload, deletion or edit that triggered it.
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event payload, sent as the "data" field of the body
+   * @returns {number} Number of deliveries queued
+   */
+  async emit(event, data = {}) {
+    try {
+      const webhooks = await database.getWebhooks({ activeOnly: true });
+      const subscribed = webhooks.filter((webhook) => webhook.events.includes(event));
+      const ids = await this._enqueue(subscribed, event, data);
+      if (ids.length > 0) {
+        debugWebhook(`[webhook-service.js] Queued ${event} for ${ids.length} webhook(s)`);
+      }
+      return ids.length;
+    } catch (error) {
+      debugWebhook(`[webhook-service.js] Failed to queue ${event}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Send a ping event to one webhook
+   * @param {Object} webhook - Row from webhooks
+   * @returns {string} Delivery ID
+   */
+  async ping(webhook) {
+    const [id] = await this._enqueue([webhook], PING_EVENT, {
+      webhookId: webhook.id,
+      events: webhook.events,
+    });
+    return id;
+  }
+
+  /**
+   * Send the deliveries that are due. Calls made while a pass is running share that pass.
+   * @returns {Object} { delivered, retrying, failed } or { skipped: reason }
+   */
+  processQueue() {
+    if (!this.running) {
+      this.running = this._processBatch().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async _processBatch() {
+    try {
+      // A process of any instance can die while delivering, so every pass looks for its orphans
+      const requeued = await database.requeueInterruptedDeliveries(this.options.staleAfter);
+      if (requeued > 0) {
+        debugWebhook(`[webhook-service.js] Requeued ${requeued} interrupted deliveries`);
+      }
+
+      const due = await database.getDueWebhookDeliveries(this.options.batchSize);
+      if (due.length === 0) return { delivered: 0, retrying: 0, failed: 0 };
+
+      const webhooks = new Map((await database.getWebhooks()).map((webhook) => [webhook.id, webhook]));
+      const outcomes = { delivered: 0, retrying: 0, failed: 0 };
+      for (const delivery of due) {
+        if (!(await database.claimWebhookDelivery(delivery.id))) continue;
+        outcomes[await this._deliver(delivery, webhooks.get(delivery.webhook_id))]++;
+      }
+
+      debugWebhook(`[webhook-service.js] Delivered ${outcomes.delivered}, retrying ${outcomes.retrying}, failed ${outcomes.failed}`);
+      return outcomes;
+    } catch (error) {
+      debugWebhook(`[webhook-service.js] Delivery pass failed: ${error.message}`);
+      return { skipped: error.message };
+    }
+  }
+
+  /**
+   * Make one attempt at a claimed delivery
+   * @param {Object} delivery - Row from webhook_deliveries
+   * @param {Object} webhook - Its webhook, undefined if deleted in the meantime
+   * @returns {string} "delivered", "retrying" or "failed"
+   */
+  async _deliver(delivery, webhook) {
+    if (!webhook || !webhook.active) {
+      await database.failWebhookDelivery(delivery.id, { status: "failed", error: "Webhook is disabled" });
+      return "failed";
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "PhotoVault-Webhooks",
+          "X-PhotoVault-Event": delivery.event,
+          "X-PhotoVault-Delivery": delivery.id,
+          "X-PhotoVault-Timestamp": String(timestamp),
+          "X-PhotoVault-Signature": WebhookService.sign(webhook.secret, timestamp, body),
+        },
+        body,
+        redirect: "manual", // A redirect is an answer from the wrong endpoint, not a success
+        signal: AbortSignal.timeout(this.options.timeout),
+      });
+      responseStatus = response.status;
+      // The answer itself is not used, release the connection
+      await response.body?.cancel();
+
+      if (!response.ok) {
+        throw new Error(`Endpoint answered ${response.status}`);
+      }
+
+      await database.completeWebhookDelivery(delivery.id, { responseStatus });
+      return "delivered";
+    } catch (error) {
+      const message = error.name === "TimeoutError" ? `No answer within ${this.options.timeout}ms` : error.message;
+      const exhausted = delivery.attempts + 1 >= this.options.maxAttempts;
+      const retryAfterMs = exhausted ? 0 : backoffDelay(delivery.attempts, this.options);
+      debugWebhook(`[webhook-service.js] ${delivery.event} to ${webhook.url} failed (${message})${exhausted ? ", giving up" : `, retrying in ${retryAfterMs}ms`}`);
+
+      try {
+        await database.failWebhookDelivery(delivery.id, {
+          status: exhausted ? "failed" : "pending",
+          responseStatus,
+          error: message,
+          retryAfterMs,
+        });
+      } catch (dbError) {
+        debugWebhook(`[webhook-service.js] Failed to record error for ${delivery.id}: ${dbError.message}`);
+      }
+      return exhausted ? "failed" : "retrying";
+    }
+  }
+}
+
+WebhookService.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookService;
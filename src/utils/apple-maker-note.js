@@ -0,0 +1,50 @@
+// utils/apple-maker-note.js - Reads the Apple MakerNote of iPhone photos
+//
+// Layout: "Apple iOS\0", version (2 bytes), byte order ("MM"), then a TIFF IFD whose value
+// offsets are relative to the start of the MakerNote.
+
+const HEADER = "Apple iOS\0";
+const IFD_OFFSET = 14;
+const ASCII = 2;
+
+// Tags we read
+const TAGS = {
+  0x0011: "contentIdentifier", // Pairs the photo with the video of its Live Photo
+};
+
+/**
+ * Parse the tags we use from a raw Apple MakerNote
+ * @param {Buffer|Uint8Array} makerNote - MakerNote bytes as found in the EXIF
+ * @returns {Object} { contentIdentifier } (fields present in the MakerNote only), {} if it is not Apple's
+ */
+function parseAppleMakerNote(makerNote) {
+  if (!makerNote || makerNote.length < IFD_OFFSET + 2) return {};
+  const buffer = Buffer.from(makerNote.buffer, makerNote.byteOffset, makerNote.byteLength);
+  if (buffer.toString("latin1", 0, HEADER.length) !== HEADER) return {};
+
+  const littleEndian = buffer.toString("latin1", 12, 14) === "II";
+  const readUInt16 = (offset) => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const readUInt32 = (offset) => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+  const values = {};
+  const count = readUInt16(IFD_OFFSET);
+  for (let i = 0; i < count; i++) {
+    const entry = IFD_OFFSET + 2 + i * 12;
+    if (entry + 12 > buffer.length) break;
+
+    const field = TAGS[readUInt16(entry)];
+    if (!field || readUInt16(entry + 2) !== ASCII) continue;
+
+    const length = readUInt32(entry + 4);
+    // Values of up to 4 bytes are stored in the entry itself
+    const start = length <= 4 ? entry + 8 : readUInt32(entry + 8);
+    if (start + length > buffer.length) continue;
+    values[field] = buffer.toString("latin1", start, start + length).replace(/\0+$/, "");
+  }
+
+  return values;
+}
+
+module.exports = {
+  parseAppleMakerNote,
+};
@@ -0,0 +1,94 @@
+// utils/circuit-breaker.js - Stop calling a failing dependency for a while
+//
+// closed    -> requests go through, consecutive failures are counted
+// open      -> requests fail fast until resetTimeout has passed
+// half-open -> a single trial request decides between closed and open again
+
+/**
+ * Circuit breaker around calls to a remote service
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name used in error messages
+   * @param {Object} options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeout - Milliseconds to stay open before a trial request
+   */
+  constructor(name, { failureThreshold, resetTimeout }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Take permission for a request; throws (code CIRCUIT_OPEN) while the circuit is open
+   */
+  acquire() {
+    if (this.state === "open" && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = "half-open";
+    }
+
+    if (this.state === "closed") return;
+
+    if (this.state === "half-open" && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return;
+    }
+
+    const retryAt = new Date(this.openedAt + this.resetTimeout).toISOString();
+    const error = new Error(`${this.name} circuit is open after repeated failures, retry after ${retryAt}`);
+    error.code = "CIRCUIT_OPEN";
+    throw error;
+  }
+
+  recordSuccess() {
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * @param {Error} error - Failure of the request
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+    this.trialInFlight = false;
+
+    if (this.state === "half-open" || this.failures >= this.failureThreshold) {
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Release a half-open trial that ended without telling anything about the service (e.g. aborted)
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Current state for health reporting
+   * @returns {Object} { state, failures, openedAt, retryAt, lastError }
+   */
+  getState() {
+    return {
+      state: this.state === "open" && Date.now() - this.openedAt >= this.resetTimeout ? "half-open" : this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeout).toISOString() : null,
+      lastError: this.lastError,
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,58 @@
+// utils/concurrency.js - Small helpers for bounding parallel work
+
+/**
+ * Run a worker over every item with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - async (item, index) => void
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+}
+
+/**
+ * Create a limiter that lets at most `limit` tasks run at the same time
+ * @param {number} limit - Maximum number of concurrent tasks
+ * @returns {Function} limit(task) - runs the async task once a slot is free
+ */
+function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+
+  const release = () => {
+    active--;
+    if (queue.length > 0) {
+      active++;
+      queue.shift()();
+    }
+  };
+
+  return async (task) => {
+    if (active >= limit) {
+      await new Promise((resolve) => queue.push(resolve));
+    } else {
+      active++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  };
+}
+
+module.exports = {
+  runWithConcurrency,
+  createLimiter,
+};
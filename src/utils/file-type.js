@@ -0,0 +1,163 @@
+// utils/file-type.js - Detect the real type of an upload from its first bytes and apply
+// the MIME allow-list of config.upload.allowedMimeTypes
+const fsp = require("fs/promises");
+const config = require("../config"); // defaults to ./config/index.js
+
+// Bytes read from the start of a file, enough for every signature below
+const SNIFF_LENGTH = 64;
+
+// Alternative spellings sent by browsers and clients, mapped to the type sniffing reports
+const MIME_ALIASES = {
+  "image/jpg": "image/jpeg",
+  "image/pjpeg": "image/jpeg",
+  "image/heic-sequence": "image/heic",
+  "image/heif-sequence": "image/heif",
+  "video/mov": "video/quicktime",
+  "video/x-m4v": "video/mp4",
+  "video/avi": "video/x-msvideo",
+  "video/msvideo": "video/x-msvideo",
+};
+
+// Declared types that say nothing about the content; sniffing decides for these
+const GENERIC_MIME_TYPES = ["", "application/octet-stream", "binary/octet-stream"];
+
+// ISO base media "ftyp" brands
+const HEIC_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis"];
+const HEIF_BRANDS = ["mif1", "msf1"];
+const AVIF_BRANDS = ["avif", "avis"];
+const MP4_BRANDS = ["isom", "iso2", "iso4", "iso5", "iso6", "mp41", "mp42", "avc1", "dash", "M4V ", "M4VH", "M4VP", "f4v "];
+// Top-level atoms an old QuickTime file may start with (no ftyp box)
+const QUICKTIME_ATOMS = ["moov", "mdat", "wide", "free", "skip", "pnot"];
+
+/**
+ * Canonical spelling of a MIME type
+ * @param {string} mimetype - MIME type as sent by a client or configured
+ * @returns {string}
+ */
+function normalizeMimeType(mimetype = "") {
+  const type = mimetype.toLowerCase().split(";")[0].trim();
+  return MIME_ALIASES[type] || type;
+}
+
+// Brands of an ftyp box: major brand first, then the compatible ones
+function readBrands(buffer) {
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString("latin1", 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(buffer.toString("latin1", offset, offset + 4));
+  }
+  return brands;
+}
+
+function detectIsoMediaType(buffer) {
+  const [major, ...compatible] = readBrands(buffer);
+
+  if (AVIF_BRANDS.includes(major)) return "image/avif";
+  if (HEIC_BRANDS.includes(major)) return "image/heic";
+  if (HEIF_BRANDS.includes(major)) {
+    // Generic HEIF container, the compatible brands tell the codec
+    if (compatible.some((brand) => AVIF_BRANDS.includes(brand))) return "image/avif";
+    if (compatible.some((brand) => HEIC_BRANDS.includes(brand))) return "image/heic";
+    return "image/heif";
+  }
+  if (major === "qt  ") return "video/quicktime";
+  if (MP4_BRANDS.includes(major) || major.startsWith("mp4") || major.startsWith("3gp")) return "video/mp4";
+  return null;
+}
+
+/**
+ * Detect a MIME type from the first bytes of a file
+ * @param {Buffer} buffer - Start of the file (SNIFF_LENGTH bytes is enough)
+ * @returns {string|null} Detected MIME type, or null when the signature is unknown
+ */
+function detectMimeType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return "image/png";
+  }
+  if (buffer.length >= 12 && buffer.toString("latin1", 0, 4) === "RIFF") {
+    const format = buffer.toString("latin1", 8, 12);
+    if (format === "WEBP") return "image/webp";
+    if (format === "AVI ") return "video/x-msvideo";
+    return null;
+  }
+  if (buffer.length >= 12) {
+    const boxType = buffer.toString("latin1", 4, 8);
+    if (boxType === "ftyp") return detectIsoMediaType(buffer);
+    if (QUICKTIME_ATOMS.includes(boxType)) return "video/quicktime";
+  }
+  return null;
+}
+
+/**
+ * Read the start of a file on disk and detect its type
+ * @param {string} filePath - Path of the file
+ * @returns {string|null} Detected MIME type
+ */
+async function sniffFile(filePath) {
+  const handle = await fsp.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(SNIFF_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_LENGTH, 0);
+    return detectMimeType(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Whether a MIME type is on the configured allow-list
+ * @param {string} mimetype - MIME type (any spelling)
+ * @returns {boolean}
+ */
+function isAllowedMimeType(mimetype) {
+  const type = normalizeMimeType(mimetype);
+  return config.upload.allowedMimeTypes.some((allowed) => normalizeMimeType(allowed) === type);
+}
+
+/**
+ * Check the type a client declares before the file is received (multer fileFilter, chunked upload creation)
+ * @param {string} mimetype - Declared MIME type
+ * @returns {string|null} Rejection reason, or null when the file may be received
+ */
+function checkDeclaredType(mimetype) {
+  const type = normalizeMimeType(mimetype);
+  if (GENERIC_MIME_TYPES.includes(type) || isAllowedMimeType(type)) return null;
+  return `File type ${mimetype} is not allowed`;
+}
+
+/**
+ * Validate a received file against its content: the sniffed type must be allowed and
+ * agree with the declared one
+ * @param {Object} file - File on disk ({ path, mimetype, originalname })
+ * @returns {Object} { ok: true, mimetype } with the detected type, or { ok: false, reason }
+ */
+async function validateFileType(file) {
+  const detected = await sniffFile(file.path);
+  const declared = normalizeMimeType(file.mimetype);
+
+  if (!detected) {
+    return { ok: false, reason: `Unrecognized file content (declared as ${file.mimetype || "unknown"})` };
+  }
+  if (!isAllowedMimeType(detected)) {
+    return { ok: false, reason: `File type ${detected} is not allowed` };
+  }
+  // HEIF is the container of HEIC, clients use both names for iPhone photos
+  const sameFamily = [declared, detected].every((type) => type === "image/heic" || type === "image/heif");
+  if (!GENERIC_MIME_TYPES.includes(declared) && declared !== detected && !sameFamily) {
+    return { ok: false, reason: `Declared type ${file.mimetype} does not match file content (${detected})` };
+  }
+
+  return { ok: true, mimetype: detected };
+}
+
+module.exports = {
+  normalizeMimeType,
+  detectMimeType,
+  sniffFile,
+  isAllowedMimeType,
+  checkDeclaredType,
+  validateFileType,
+};
@@ -0,0 +1,158 @@
+// utils/image-dimensions.js - Read the pixel size of an image from its header
+//
+// Used when the EXIF block has no size (screenshots, WebP exports, AVIFs written by encoders).
+// Only the start of the file is read. The EXIF of a WebP file is found by following its chunk
+// headers, reading nothing else.
+const fsp = require("fs/promises");
+
+// Enough for the header of every supported format (HEIF/AVIF "meta" boxes sit at the start)
+const HEAD_LENGTH = 256 * 1024;
+
+// JPEG start-of-frame markers (baseline, progressive, lossless...); C4, C8 and CC are not frames
+const JPEG_SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+async function readHead(input) {
+  if (Buffer.isBuffer(input)) return input.subarray(0, HEAD_LENGTH);
+
+  const handle = await fsp.open(input, "r");
+  try {
+    const buffer = Buffer.alloc(HEAD_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, HEAD_LENGTH, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+function pngDimensions(buffer) {
+  // IHDR is always the first chunk
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function webpDimensions(buffer) {
+  const chunk = buffer.toString("latin1", 12, 16);
+
+  if (chunk === "VP8X") {
+    // Extended format: canvas size minus one, 24-bit little endian
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  if (chunk === "VP8L") {
+    // Lossless: 14-bit width and height minus one, packed after the 0x2f signature
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8 ") {
+    // Lossy: key frame header, 14-bit dimensions
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  return null;
+}
+
+// HEIC / AVIF: the "ispe" properties give the size of each image item, the largest is the primary one
+function heifDimensions(buffer) {
+  let best = null;
+  let offset = buffer.indexOf("ispe", 0, "latin1");
+
+  while (offset !== -1 && offset + 16 <= buffer.length) {
+    // box type + version/flags (4) + width (4) + height (4)
+    const width = buffer.readUInt32BE(offset + 8);
+    const height = buffer.readUInt32BE(offset + 12);
+    if (!best || width * height > best.width * best.height) {
+      best = { width, height };
+    }
+    offset = buffer.indexOf("ispe", offset + 4, "latin1");
+  }
+
+  return best;
+}
+
+function jpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 9 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // Padding bytes before a marker
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Read width and height from the header of a JPEG, PNG, WebP, HEIC or AVIF image
+ * @param {string|Buffer} input - Image file path or buffer
+ * @returns {Object|null} { width, height } or null if the format or header is not recognized
+ */
+async function readImageDimensions(input) {
+  const buffer = await readHead(input);
+  if (buffer.length < 30) return null;
+
+  try {
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) return jpegDimensions(buffer);
+    if (buffer.readUInt32BE(0) === 0x89504e47) return pngDimensions(buffer);
+    if (buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP") {
+      return webpDimensions(buffer);
+    }
+    if (buffer.toString("latin1", 4, 8) === "ftyp") return heifDimensions(buffer);
+  } catch (error) {
+    // Truncated header
+  }
+  return null;
+}
+
+// Read length bytes at position from a buffer or an open file handle
+async function readRange(source, position, length) {
+  if (Buffer.isBuffer(source)) return source.subarray(position, position + length);
+
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await source.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Extract the EXIF block of a WebP file (its "EXIF" RIFF chunk), which exifr cannot find itself.
+ * In extended WebP files the chunk follows the image data, so it can be anywhere in the file.
+ * @param {string|Buffer} input - Image file path or buffer
+ * @returns {Buffer|null} TIFF-structured EXIF data, or null when the file has none
+ */
+async function readWebpExif(input) {
+  const handle = Buffer.isBuffer(input) ? null : await fsp.open(input, "r");
+  const source = handle || input;
+
+  try {
+    const header = await readRange(source, 0, 12);
+    if (header.length < 12 || header.toString("latin1", 0, 4) !== "RIFF" || header.toString("latin1", 8, 12) !== "WEBP") {
+      return null;
+    }
+    const fileLength = handle ? (await handle.stat()).size : input.length;
+    const end = Math.min(8 + header.readUInt32LE(4), fileLength);
+
+    let offset = 12;
+    while (offset + 8 <= end) {
+      const chunkHeader = await readRange(source, offset, 8);
+      const chunk = chunkHeader.toString("latin1", 0, 4);
+      const size = chunkHeader.readUInt32LE(4);
+      if (chunk === "EXIF") {
+        const data = await readRange(source, offset + 8, Math.min(size, end - offset - 8));
+        // Some writers keep the JPEG APP1 "Exif\0\0" prefix
+        return data.toString("latin1", 0, 4) === "Exif" ? data.subarray(6) : data;
+      }
+      // Chunks are padded to an even size
+      offset += 8 + size + (size % 2);
+    }
+    return null;
+  } finally {
+    await handle?.close();
+  }
+}
+
+module.exports = {
+  readImageDimensions,
+  readWebpExif,
+};
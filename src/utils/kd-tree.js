@@ -0,0 +1,117 @@
+// utils/kd-tree.js - Static k-d tree for nearest-neighbour lookups of places on the globe
+//
+// Points are stored as 3D unit vectors, so the straight-line distance between two of them grows
+// with the great-circle distance: no special cases at the poles or across the antimeridian.
+
+const EARTH_RADIUS_KM = 6371;
+const DEG = Math.PI / 180;
+
+// Latitude/longitude in degrees -> point on the unit sphere
+function toUnitVector(latitude, longitude) {
+  const lat = latitude * DEG;
+  const lng = longitude * DEG;
+  return [Math.cos(lat) * Math.cos(lng), Math.cos(lat) * Math.sin(lng), Math.sin(lat)];
+}
+
+// Chord length between two unit vectors -> great-circle distance in km
+function chordToKm(chord) {
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, chord / 2));
+}
+
+// Reorder indices[from..to) so the element at k has the median value of the axis (quickselect)
+function selectMedian(indices, coords, axis, from, to, k) {
+  let left = from;
+  let right = to - 1;
+  while (left < right) {
+    const pivot = coords[indices[k] * 3 + axis];
+    let i = left;
+    let j = right;
+    while (i <= j) {
+      while (coords[indices[i] * 3 + axis] < pivot) i++;
+      while (coords[indices[j] * 3 + axis] > pivot) j--;
+      if (i <= j) {
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+        i++;
+        j--;
+      }
+    }
+    if (k <= j) right = j;
+    else if (k >= i) left = i;
+    else break;
+  }
+}
+
+/**
+ * Nearest-place index over latitude/longitude points
+ *
+ * The tree is implicit: the point of the node covering indices[from..to) sits at the middle,
+ * with the lower half on its left and the upper half on its right.
+ */
+class KdTree {
+  /**
+   * @param {Array} items - Anything with numeric latitude and longitude (degrees)
+   */
+  constructor(items) {
+    this.items = items;
+    this.coords = new Float64Array(items.length * 3);
+    items.forEach((item, i) => this.coords.set(toUnitVector(item.latitude, item.longitude), i * 3));
+
+    this.indices = new Uint32Array(items.length);
+    for (let i = 0; i < items.length; i++) this.indices[i] = i;
+    this._build(0, items.length, 0);
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  _build(from, to, depth) {
+    if (to - from <= 1) return;
+    const middle = (from + to) >> 1;
+    selectMedian(this.indices, this.coords, depth % 3, from, to, middle);
+    this._build(from, middle, depth + 1);
+    this._build(middle + 1, to, depth + 1);
+  }
+
+  /**
+   * Find the item closest to a position
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   * @returns {Object|null} { item, distanceKm }, null when the tree is empty
+   */
+  nearest(latitude, longitude) {
+    if (this.items.length === 0) return null;
+
+    const target = toUnitVector(latitude, longitude);
+    let best = -1;
+    let bestDistance = Infinity; // Squared chord length
+
+    const search = (from, to, depth) => {
+      if (from >= to) return;
+      const middle = (from + to) >> 1;
+      const index = this.indices[middle];
+      const offset = index * 3;
+
+      const dx = this.coords[offset] - target[0];
+      const dy = this.coords[offset + 1] - target[1];
+      const dz = this.coords[offset + 2] - target[2];
+      const distance = dx * dx + dy * dy + dz * dz;
+      if (distance < bestDistance) {
+        best = index;
+        bestDistance = distance;
+      }
+
+      const axis = depth % 3;
+      const delta = target[axis] - this.coords[offset + axis];
+      const [near, far] = delta < 0 ? [[from, middle], [middle + 1, to]] : [[middle + 1, to], [from, middle]];
+      search(near[0], near[1], depth + 1);
+      // The other side can only hold a closer point if the splitting plane is closer than the best
+      if (delta * delta < bestDistance) search(far[0], far[1], depth + 1);
+    };
+    search(0, this.items.length, 0);
+
+    return { item: this.items[best], distanceKm: chordToKm(Math.sqrt(bestDistance)) };
+  }
+}
+
+module.exports = KdTree;
@@ -0,0 +1,208 @@
+// utils/media-record.js - Conversion between album JSON media entries and rows of the media table
+//
+// Album JSON entries mark missing values with strings ("not found", "not captured") and keep
+// coordinates as "lat,lng"; the table stores NULLs and numbers so it can be queried and indexed.
+// Capture times are stored in UTC, converted with the time zone the camera recorded next to them
+// (offset_time_original); photos of cameras that record none keep the camera's clock time.
+
+// Strings the metadata extraction uses instead of a value
+const MISSING_VALUES = ["not found", "not captured", "unknown", ""];
+// What the geocoder wrote into the address before it reported a status (entries of older albums)
+const LEGACY_ADDRESS_FAILURES = ["Address lookup failed", "API key not configured"];
+
+// Value or null when the entry marks it as missing
+function present(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "string" && MISSING_VALUES.includes(value.trim().toLowerCase())) return null;
+  return value;
+}
+
+// Present text cut to the width of its column, so a long XMP title cannot fail the row
+function presentText(value, maxLength) {
+  if (present(value) === null) return null;
+  return String(value).slice(0, maxLength);
+}
+
+function presentNumber(value) {
+  if (present(value) === null) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Format a date as a UTC DATETIME literal ("YYYY-MM-DD HH:MM:SS.mmm")
+ * @param {string|Date} value - ISO timestamp or date
+ * @returns {string|null} DATETIME literal, or null when the value is not a valid date
+ */
+function toSqlDateTime(value) {
+  if (present(value) === null) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().replace("T", " ").replace("Z", "");
+}
+
+/**
+ * Read back a DATETIME written by toSqlDateTime (mysql2 parses it as local time)
+ * @param {Date|string|null} value - Column value
+ * @returns {string|null} ISO timestamp
+ */
+function fromSqlDateTime(value) {
+  if (!value) return null;
+  if (!(value instanceof Date)) return new Date(`${String(value).replace(" ", "T")}Z`).toISOString();
+  return new Date(Date.UTC(
+    value.getFullYear(),
+    value.getMonth(),
+    value.getDate(),
+    value.getHours(),
+    value.getMinutes(),
+    value.getSeconds(),
+    value.getMilliseconds()
+  )).toISOString();
+}
+
+// "lat,lng" -> { latitude, longitude }
+function parseCoordinates(coordinates) {
+  if (present(coordinates) === null || typeof coordinates !== "string") return { latitude: null, longitude: null };
+  const [latitude, longitude] = coordinates.split(",").map((part) => Number(part.trim()));
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return { latitude: null, longitude: null };
+  return { latitude, longitude };
+}
+
+// Address and geocoding outcome of an entry; older entries only have the address string
+function parseGeocoding(entry) {
+  const address = present(entry.address ?? entry.location);
+  const geocoding = entry.geocoding?.status ? entry.geocoding : null;
+
+  if (address === "Address not found") {
+    return { address: null, geocodeStatus: "not_found", geocodeProvider: null, geocodeError: null };
+  }
+  if (address && (LEGACY_ADDRESS_FAILURES.includes(address) || address.startsWith("API error"))) {
+    return { address: null, geocodeStatus: "failed", geocodeProvider: null, geocodeError: address.slice(0, 255) };
+  }
+  if (address) {
+    // An address typed in by an admin counts as found, without a provider
+    const provider = geocoding?.status === "found" ? geocoding.provider ?? null : null;
+    return { address: String(address).slice(0, 512), geocodeStatus: "found", geocodeProvider: provider, geocodeError: null };
+  }
+  if (!geocoding) {
+    return { address: null, geocodeStatus: null, geocodeProvider: null, geocodeError: null };
+  }
+  return {
+    address: null,
+    geocodeStatus: geocoding.status,
+    geocodeProvider: geocoding.provider ?? null,
+    geocodeError: geocoding.error ? String(geocoding.error).slice(0, 255) : null,
+  };
+}
+
+// Objects stored as JSON columns, null when every field is missing
+function presentObject(value) {
+  if (!value || typeof value !== "object") return null;
+  return Object.values(value).some((field) => present(field) !== null) ? value : null;
+}
+
+/**
+ * Build a media table row from an album JSON entry or freshly extracted metadata
+ * @param {Object} entry - Media entry ({ sourceImage, mediaType, timestamp, offsetTimeOriginal, coordinates, location|address,
+ *   geocoding, title, caption, keywords, rating, contentIdentifier, camera, settings, dimensions, hash, duration, original, variants })
+ * @param {Object} context - Where the object is stored
+ * @param {string} context.bucket - Bucket name
+ * @param {string} context.objectKey - Object name in the bucket
+ * @param {number|null} context.albumId - albums.id of the album holding it
+ * @param {string} context.mimetype - Stored MIME type (optional)
+ * @param {number} context.size - Stored size in bytes (optional)
+ * @returns {Object} Row values for database.upsertMedia
+ */
+function toMediaRecord(entry, { bucket, objectKey, albumId = null, mimetype = null, size = null }) {
+  const camera = entry.camera || {};
+  const dimensions = entry.dimensions || {};
+  const { latitude, longitude } = parseCoordinates(entry.coordinates);
+  const { address, geocodeStatus, geocodeProvider, geocodeError } = parseGeocoding(entry);
+
+  return {
+    albumId,
+    bucket,
+    objectKey,
+    mediaType: entry.mediaType === "video" ? "video" : "photo",
+    mimetype,
+    size,
+    capturedAt: toSqlDateTime(entry.timestamp),
+    latitude,
+    longitude,
+    address,
+    geocodeStatus,
+    geocodeProvider,
+    geocodeError,
+    cameraMake: presentText(camera.make, 100),
+    cameraModel: presentText(camera.model, 100),
+    software: presentText(camera.software, 255),
+    lens: presentText(camera.lens, 255),
+    cameraSerial: presentText(camera.serialNumber, 100),
+    lensSerial: presentText(camera.lensSerialNumber, 100),
+    title: presentText(entry.title, 255),
+    caption: presentText(entry.caption, 16383), // TEXT holds 65535 bytes, 4 per character at most
+    // Replace the stored keywords only when some were found
+    keywords: Array.isArray(entry.keywords) && entry.keywords.length > 0 ? entry.keywords : null,
+    rating: presentNumber(entry.rating),
+    offsetTimeOriginal: presentText(entry.offsetTimeOriginal, 10),
+    contentIdentifier: presentText(entry.contentIdentifier, 100),
+    settings: presentObject(entry.settings),
+    // Copied out of the settings so they can be searched by range
+    iso: presentNumber(entry.settings?.iso),
+    aperture: presentNumber(entry.settings?.aperture),
+    width: presentNumber(dimensions.width),
+    height: presentNumber(dimensions.height),
+    dimensions: presentObject(dimensions),
+    duration: presentNumber(entry.duration),
+    contentHash: present(entry.hash),
+    originalKey: present(entry.original),
+    variants: presentObject(entry.variants),
+  };
+}
+
+/**
+ * Build the album JSON entry of a media row (the legacy export format)
+ * @param {Object} row - Row of the media table (with its keywords)
+ * @returns {Object} Media entry as written to <album>/<album>.json
+ */
+function toMetadataEntry(row) {
+  return {
+    sourceImage: row.object_key,
+    mediaType: row.media_type,
+    timestamp: fromSqlDateTime(row.captured_at) ?? "not captured",
+    location: row.address ?? "not captured",
+    ...(row.geocode_status && {
+      geocoding: { status: row.geocode_status, provider: row.geocode_provider, error: row.geocode_error },
+    }),
+    coordinates: row.latitude !== null && row.longitude !== null
+      ? `${Number(row.latitude)},${Number(row.longitude)}`
+      : "not captured",
+    camera: {
+      make: row.camera_make ?? "not found",
+      model: row.camera_model ?? "not found",
+      software: row.software ?? "not found",
+      lens: row.lens ?? "not found",
+      serialNumber: row.camera_serial ?? "not found",
+      lensSerialNumber: row.lens_serial ?? "not found",
+    },
+    title: row.title ?? "not found",
+    caption: row.caption ?? "not found",
+    keywords: row.keywords ?? [],
+    rating: row.rating ?? "not found",
+    offsetTimeOriginal: row.offset_time_original ?? "not found",
+    contentIdentifier: row.content_identifier ?? "not found",
+    settings: row.settings ?? "not found",
+    dimensions: row.dimensions ?? (row.width !== null ? { width: row.width, height: row.height } : "not found"),
+    hash: row.content_hash,
+    ...(row.media_type === "video" && { duration: row.duration ?? "not found" }),
+    ...(row.original_key && { original: row.original_key }),
+    ...(row.variants && { variants: row.variants }),
+  };
+}
+
+module.exports = {
+  toSqlDateTime,
+  fromSqlDateTime,
+  toMediaRecord,
+  toMetadataEntry,
+};
@@ -0,0 +1,284 @@
+// utils/quicktime-parser.js - Reads metadata atoms from MP4 / QuickTime (.mov) files
+//
+// Only the box headers of the top level are read from disk until "moov" is found,
+// so the (potentially huge) media data is never loaded.
+const fsp = require("fs/promises");
+
+// Seconds between the QuickTime epoch (1904-01-01) and the Unix epoch
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+// A moov box is normally a few hundred KB; refuse anything absurd
+const MAX_MOOV_SIZE = 64 * 1024 * 1024;
+
+// Keys of the Apple "mdta" metadata we care about
+const APPLE_KEYS = {
+  "com.apple.quicktime.location.ISO6709": "location",
+  "com.apple.quicktime.creationdate": "creationDate",
+  "com.apple.quicktime.make": "make",
+  "com.apple.quicktime.model": "model",
+  "com.apple.quicktime.software": "software",
+  "com.apple.quicktime.title": "title",
+  "com.apple.quicktime.description": "description",
+  "com.apple.quicktime.keywords": "keywords",
+  // Pairs the video of a Live Photo with its photo
+  "com.apple.quicktime.content.identifier": "contentIdentifier",
+};
+
+// Classic QuickTime user data atoms (udta)
+const UDTA_KEYS = {
+  "©xyz": "location",
+  "©day": "creationDate",
+  "©mak": "make",
+  "©mod": "model",
+  "©swr": "software",
+};
+
+/**
+ * Iterate over the boxes contained in a buffer
+ * @param {Buffer} buffer - Buffer holding consecutive boxes
+ * @param {number} start - Offset of the first box
+ * @param {number} end - Offset just past the last box
+ */
+function* readBoxes(buffer, start = 0, end = buffer.length) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) return;
+
+    yield { type, start: offset + headerSize, end: offset + size };
+    offset += size;
+  }
+}
+
+function findBox(buffer, parent, type) {
+  for (const box of readBoxes(buffer, parent.start, parent.end)) {
+    if (box.type === type) return box;
+  }
+  return null;
+}
+
+// Read the moov box from disk by walking the top-level box headers
+async function readMoov(filePath) {
+  const handle = await fsp.open(filePath, "r");
+  try {
+    const { size: fileSize } = await handle.stat();
+    const header = Buffer.alloc(16);
+    let offset = 0;
+
+    while (offset + 8 <= fileSize) {
+      await handle.read(header, 0, 16, offset);
+      let size = header.readUInt32BE(0);
+      const type = header.toString("latin1", 4, 8);
+      let headerSize = 8;
+
+      if (size === 1) {
+        size = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = fileSize - offset;
+      }
+      if (size < headerSize) return null;
+
+      if (type === "moov") {
+        if (size > MAX_MOOV_SIZE) return null;
+        const moov = Buffer.alloc(size - headerSize);
+        await handle.read(moov, 0, moov.length, offset + headerSize);
+        return moov;
+      }
+
+      offset += size;
+    }
+
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+function quickTimeDate(seconds) {
+  if (!seconds) return null;
+  return new Date((seconds - QUICKTIME_EPOCH_OFFSET) * 1000).toISOString();
+}
+
+// mvhd: creation time, timescale and duration
+function parseMvhd(buffer, box) {
+  const version = buffer.readUInt8(box.start);
+  const body = box.start + 4;
+
+  if (version === 1) {
+    return {
+      creationTime: quickTimeDate(Number(buffer.readBigUInt64BE(body))),
+      timescale: buffer.readUInt32BE(body + 16),
+      duration: Number(buffer.readBigUInt64BE(body + 20)),
+    };
+  }
+
+  return {
+    creationTime: quickTimeDate(buffer.readUInt32BE(body)),
+    timescale: buffer.readUInt32BE(body + 8),
+    duration: buffer.readUInt32BE(body + 12),
+  };
+}
+
+// tkhd: display matrix and track dimensions (16.16 fixed point)
+function parseTkhd(buffer, box) {
+  const version = buffer.readUInt8(box.start);
+  // Skip version/flags, times, track ID, reserved and duration
+  const matrixOffset = box.start + 4 + (version === 1 ? 32 : 20) + 16;
+  const a = buffer.readInt32BE(matrixOffset) / 65536;
+  const b = buffer.readInt32BE(matrixOffset + 4) / 65536;
+  const sizeOffset = matrixOffset + 36;
+
+  return {
+    width: Math.round(buffer.readUInt32BE(sizeOffset) / 65536),
+    height: Math.round(buffer.readUInt32BE(sizeOffset + 4) / 65536),
+    rotation: (Math.round((Math.atan2(b, a) * 180) / Math.PI) + 360) % 360,
+  };
+}
+
+// meta > keys + ilst (Apple mdta metadata written by iPhones)
+function parseAppleMeta(buffer, meta) {
+  const values = {};
+
+  // The QuickTime meta box is a plain box, the ISO one is a full box with 4 bytes of version/flags
+  const start = buffer.readUInt32BE(meta.start) === 0 ? meta.start + 4 : meta.start;
+  const container = { start, end: meta.end };
+
+  const keysBox = findBox(buffer, container, "keys");
+  const ilstBox = findBox(buffer, container, "ilst");
+  if (!keysBox || !ilstBox) return values;
+
+  const keys = [];
+  const count = buffer.readUInt32BE(keysBox.start + 4);
+  let offset = keysBox.start + 8;
+  for (let i = 0; i < count && offset + 8 <= keysBox.end; i++) {
+    const size = buffer.readUInt32BE(offset);
+    if (size < 8) break;
+    keys.push(buffer.toString("utf8", offset + 8, offset + size));
+    offset += size;
+  }
+
+  for (const item of readBoxes(buffer, ilstBox.start, ilstBox.end)) {
+    const key = keys[buffer.readUInt32BE(item.start - 4) - 1];
+    const field = APPLE_KEYS[key];
+    const dataBox = field && findBox(buffer, item, "data");
+    if (dataBox) {
+      // data: type indicator (4) + locale (4) + value
+      values[field] = buffer.toString("utf8", dataBox.start + 8, dataBox.end).replace(/\0+$/, "");
+    }
+  }
+
+  return values;
+}
+
+// udta: classic ©xyz, ©day, ©mak... atoms (2 bytes length + 2 bytes language + text)
+function parseUdta(buffer, udta) {
+  const values = {};
+  for (const box of readBoxes(buffer, udta.start, udta.end)) {
+    const field = UDTA_KEYS[box.type];
+    if (field && box.end - box.start > 4) {
+      const length = buffer.readUInt16BE(box.start);
+      values[field] = buffer.toString("utf8", box.start + 4, Math.min(box.start + 4 + length, box.end));
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse an ISO 6709 location string such as "+37.3349-122.0090+010.000/"
+ * @param {string} value - ISO 6709 string
+ * @returns {Object|null} { latitude, longitude, altitude }
+ */
+function parseISO6709(value) {
+  const match = /^([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?/.exec(value || "");
+  if (!match) return null;
+
+  return {
+    latitude: parseFloat(match[1]),
+    longitude: parseFloat(match[2]),
+    altitude: match[3] !== undefined ? parseFloat(match[3]) : null,
+  };
+}
+
+/**
+ * Read duration, creation date, dimensions, GPS location, title, description, keywords and
+ * Live Photo identifier from an MP4 / QuickTime file
+ * @param {string} filePath - Path of the video on disk
+ * @returns {Object|null} Parsed metadata, or null if no moov box was found
+ */
+async function parseQuickTimeMetadata(filePath) {
+  const moov = await readMoov(filePath);
+  if (!moov) return null;
+
+  const root = { start: 0, end: moov.length };
+  const result = {
+    duration: null,
+    creationDate: null,
+    width: null,
+    height: null,
+    rotation: 0,
+    location: null,
+    make: null,
+    model: null,
+    software: null,
+    title: null,
+    description: null,
+    keywords: [],
+    contentIdentifier: null,
+  };
+
+  const mvhd = findBox(moov, root, "mvhd");
+  if (mvhd) {
+    const { creationTime, timescale, duration } = parseMvhd(moov, mvhd);
+    result.creationDate = creationTime;
+    result.duration = timescale ? Math.round((duration / timescale) * 1000) / 1000 : null;
+  }
+
+  // The first track with a picture size is the video track
+  for (const trak of readBoxes(moov)) {
+    if (trak.type !== "trak") continue;
+    const tkhd = findBox(moov, trak, "tkhd");
+    if (!tkhd) continue;
+    const { width, height, rotation } = parseTkhd(moov, tkhd);
+    if (width > 0 && height > 0) {
+      Object.assign(result, { width, height, rotation });
+      break;
+    }
+  }
+
+  const udta = findBox(moov, root, "udta");
+  const meta = findBox(moov, root, "meta");
+  // Apple mdta values win over the older udta atoms
+  const values = {
+    ...(udta ? parseUdta(moov, udta) : {}),
+    ...(meta ? parseAppleMeta(moov, meta) : {}),
+  };
+
+  if (values.location) result.location = parseISO6709(values.location);
+  if (values.creationDate) {
+    const date = new Date(values.creationDate.replace(/([+-]\d{2})(\d{2})$/, "$1:$2"));
+    if (!isNaN(date)) result.creationDate = date.toISOString();
+  }
+  result.make = values.make || null;
+  result.model = values.model || null;
+  result.software = values.software || null;
+  result.title = values.title || null;
+  result.description = values.description || null;
+  result.keywords = values.keywords ? values.keywords.split(",").map((keyword) => keyword.trim()).filter(Boolean) : [];
+  result.contentIdentifier = values.contentIdentifier || null;
+
+  return result;
+}
+
+module.exports = {
+  parseQuickTimeMetadata,
+  parseISO6709,
+};
@@ -0,0 +1,56 @@
+// utils/variants.js - Naming of the resized variants stored next to each photo
+//
+// The full-size image keeps its usual name (album/IMG_0001.avif), the smaller ones live
+// in a hidden folder of the album: album/.variants/thumb/IMG_0001.avif
+const path = require("path");
+
+const VARIANTS_FOLDER = ".variants";
+
+// Smallest to largest; "full" is the converted object itself
+const VARIANT_SIZES = ["thumb", "medium", "large", "full"];
+
+/**
+ * Object name of a size variant of a stored photo
+ * @param {string} objectName - Object name of the full-size image
+ * @param {string} size - Variant name (thumb, medium, large, full)
+ * @returns {string} Object name of the variant
+ */
+function variantObjectName(objectName, size) {
+  if (size === "full") return objectName;
+
+  const { dir, base } = path.posix.parse(objectName);
+  const variantPath = `${VARIANTS_FOLDER}/${size}/${base}`;
+  return dir ? `${dir}/${variantPath}` : variantPath;
+}
+
+/**
+ * Whether an object is a size variant (and should be hidden from album listings)
+ * @param {string} objectName - Object name
+ * @returns {boolean}
+ */
+function isVariantObject(objectName) {
+  return objectName.split("/").includes(VARIANTS_FOLDER);
+}
+
+/**
+ * Order in which variants are tried for a requested size: the size itself, then
+ * larger ones (never serve a blurrier image than asked for), then smaller ones
+ * @param {string} size - Requested variant
+ * @returns {string[]} Variant names to try
+ */
+function variantFallbacks(size) {
+  const index = VARIANT_SIZES.indexOf(size);
+  if (index === -1) return ["full"];
+
+  return [
+    ...VARIANT_SIZES.slice(index),
+    ...VARIANT_SIZES.slice(0, index).reverse(),
+  ];
+}
+
+module.exports = {
+  VARIANT_SIZES,
+  variantObjectName,
+  isVariantObject,
+  variantFallbacks,
+};
@@ -0,0 +1,146 @@
+// Concurrent updates of an album JSON document must never lose an entry
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { Readable } = require("stream");
+const MetadataService = require("../src/services/metadata-service");
+const GeocoderService = require("../src/services/geocoder-service");
+
+const BUCKET = "photovault";
+const DOCUMENT = "trip/trip.json";
+
+// In-memory MinIO that enforces If-Match / If-None-Match like S3
+class FakeMinio {
+  constructor() {
+    this.objects = new Map(); // name -> { body, etag }
+    this.version = 0;
+    this.conflicts = 0;
+    this.beforePut = null; // (name) => void, runs before a write is checked
+  }
+
+  _store(name, body) {
+    this.objects.set(name, { body, etag: `"${++this.version}"` });
+  }
+
+  async getObject(bucket, name) {
+    // Yield like a network call so concurrent updates interleave
+    await new Promise((resolve) => setImmediate(resolve));
+    const object = this.objects.get(name);
+    if (!object) {
+      const error = new Error("The specified key does not exist.");
+      error.code = "NoSuchKey";
+      throw error;
+    }
+    const stream = Readable.from([object.body]);
+    stream.headers = { etag: object.etag };
+    return stream;
+  }
+
+  async putObject(bucket, name, body, size, metaData = {}) {
+    await new Promise((resolve) => setImmediate(resolve));
+    if (this.beforePut) this.beforePut(name);
+
+    const current = this.objects.get(name);
+    const ifMatch = metaData["If-Match"];
+    const ifNoneMatch = metaData["If-None-Match"];
+    if ((ifNoneMatch === "*" && current) || (ifMatch && current?.etag !== ifMatch)) {
+      this.conflicts++;
+      const error = new Error("At least one of the pre-conditions you specified did not hold");
+      error.code = "PreconditionFailed";
+      throw error;
+    }
+    this._store(name, Buffer.from(body));
+  }
+
+  document(name = DOCUMENT) {
+    return JSON.parse(this.objects.get(name).body.toString());
+  }
+}
+
+function createService(minioClient) {
+  const service = new MetadataService(minioClient, new GeocoderService(GeocoderService.createGeocoder("none")));
+  service.albumMetadataStore.options = { maxRetries: 10, retryBaseDelay: 1 };
+  return service;
+}
+
+const objectNames = (document) => document.media.map((entry) => entry.sourceImage).sort();
+
+test("parallel updates of one album keep every entry", async () => {
+  const minio = new FakeMinio();
+  const service = createService(minio);
+  const names = Array.from({ length: 20 }, (_, i) => `trip/IMG_${i}.avif`);
+
+  const results = await Promise.all(
+    names.map((name) => service.updateFolderMetadata(BUCKET, name, { timestamp: "2025-06-01T10:00:00.000Z" }))
+  );
+
+  assert.ok(results.every(Boolean));
+  assert.deepStrictEqual(objectNames(minio.document()), [...names].sort());
+});
+
+test("parallel additions and removals only remove what was asked", async () => {
+  const minio = new FakeMinio();
+  const service = createService(minio);
+  const kept = Array.from({ length: 10 }, (_, i) => `trip/keep_${i}.avif`);
+  const removed = Array.from({ length: 10 }, (_, i) => `trip/remove_${i}.avif`);
+  for (const name of removed) await service.updateFolderMetadata(BUCKET, name, {});
+
+  await Promise.all([
+    ...kept.map((name) => service.updateFolderMetadata(BUCKET, name, {})),
+    ...removed.map((name) => service.removeFromFolderMetadata(BUCKET, name)),
+  ]);
+
+  assert.deepStrictEqual(objectNames(minio.document()), [...kept].sort());
+});
+
+test("a write that lost the race to another replica is retried on its version", async () => {
+  const minio = new FakeMinio();
+  const service = createService(minio);
+  await service.updateFolderMetadata(BUCKET, "trip/first.avif", {});
+
+  // Another replica adds its entries between our reads and our writes
+  const replicaEntries = ["trip/replica_0.avif", "trip/replica_1.avif", "trip/replica_2.avif"];
+  const pending = [...replicaEntries];
+  minio.beforePut = (name) => {
+    const entry = pending.shift();
+    if (!entry) return;
+    const document = minio.document(name);
+    document.media.push({ sourceImage: entry });
+    minio._store(name, Buffer.from(JSON.stringify(document)));
+  };
+
+  const names = Array.from({ length: 5 }, (_, i) => `trip/local_${i}.avif`);
+  await Promise.all(names.map((name) => service.updateFolderMetadata(BUCKET, name, {})));
+
+  assert.ok(minio.conflicts >= replicaEntries.length, `expected retries, saw ${minio.conflicts} conflict(s)`);
+  assert.deepStrictEqual(
+    objectNames(minio.document()),
+    ["trip/first.avif", ...names, ...replicaEntries].sort()
+  );
+});
+
+test("two replicas creating the same document both keep their entry", async () => {
+  const minio = new FakeMinio();
+  const service = createService(minio);
+
+  // The other replica creates the document between our (empty) read and our write
+  minio.beforePut = (name) => {
+    minio.beforePut = null;
+    minio._store(name, Buffer.from(JSON.stringify({ folderName: "trip", media: [{ sourceImage: "trip/other.avif" }] })));
+  };
+  await service.updateFolderMetadata(BUCKET, "trip/mine.avif", {});
+
+  assert.strictEqual(minio.conflicts, 1);
+  assert.deepStrictEqual(objectNames(minio.document()), ["trip/mine.avif", "trip/other.avif"]);
+});
+
+test("gives up with METADATA_CONFLICT when every write loses", async () => {
+  const minio = new FakeMinio();
+  const service = createService(minio);
+  service.albumMetadataStore.options = { maxRetries: 2, retryBaseDelay: 1 };
+  await service.updateFolderMetadata(BUCKET, "trip/first.avif", {});
+
+  minio.beforePut = (name) => minio._store(name, minio.objects.get(name).body);
+  await assert.rejects(service.updateFolderMetadata(BUCKET, "trip/second.avif", {}), { code: "METADATA_CONFLICT" });
+  assert.strictEqual(minio.conflicts, 3);
+  assert.deepStrictEqual(objectNames(minio.document()), ["trip/first.avif"]);
+});
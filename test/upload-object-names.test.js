@@ -0,0 +1,62 @@
+// Files of one batch stored under the same name must never overwrite each other
+const { test } = require("node:test");
+const assert = require("node:assert");
+const UploadService = require("../src/services/upload-service");
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+// statObject / putObject of MinIO over a map of object name -> content hash
+function createMinio() {
+  const objects = new Map();
+  return {
+    objects,
+    async statObject(bucket, name) {
+      await tick();
+      if (!objects.has(name)) {
+        const error = new Error("Not Found");
+        error.code = "NotFound";
+        throw error;
+      }
+      return { metaData: { "content-hash": objects.get(name) } };
+    },
+    async putObject(bucket, name, body, size, metaData) {
+      await tick();
+      await tick();
+      objects.set(name, metaData["X-Amz-Meta-Content-Hash"]);
+      return { etag: "etag" };
+    },
+  };
+}
+
+const avif = { originalname: "IMG_0001.avif", path: __filename, size: 1, mimetype: "image/avif" };
+
+test("concurrent files with the same name get different objects", async () => {
+  const minio = createMinio();
+  const service = new UploadService(minio);
+
+  const results = await Promise.all([
+    service.processUnconvertedImage(avif, "photovault", "trip", { contentHash: "aaaaaaaa01" }),
+    service.processUnconvertedImage(avif, "photovault", "trip", { contentHash: "bbbbbbbb02" }),
+  ]);
+
+  assert.deepStrictEqual(results.map((result) => result.objectName).sort(), [
+    "trip/IMG_0001-bbbbbbbb.avif",
+    "trip/IMG_0001.avif",
+  ]);
+  assert.strictEqual(minio.objects.size, 2);
+});
+
+test("the same content is stored over its own object, or next to it with keepDuplicates", async () => {
+  const minio = createMinio();
+  const service = new UploadService(minio);
+  await service.processUnconvertedImage(avif, "photovault", "trip", { contentHash: "aaaaaaaa01" });
+
+  const replaced = await service.processUnconvertedImage(avif, "photovault", "trip", { contentHash: "aaaaaaaa01" });
+  assert.strictEqual(replaced.objectName, "trip/IMG_0001.avif");
+
+  const kept = await service.processUnconvertedImage(avif, "photovault", "trip", {
+    contentHash: "aaaaaaaa01",
+    keepDuplicates: true,
+  });
+  assert.strictEqual(kept.objectName, "trip/IMG_0001-aaaaaaaa.avif");
+});